@@ -1,16 +1,28 @@
 // Entry point. Sets up scene, camera, renderer, and game systems.
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
-import { OrbitControls } from 'https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
-import { createEngine } from './systems/engine.js';
+import { createEngine, nextGameSpeed } from './systems/engine.js';
 import { InputSystem } from './systems/input.js';
 import { GizmoRenderer } from './systems/gizmos.js';
-import { UnitManager } from './units/unit_manager.js';
-import { CommandBus } from './systems/command_bus.js';
-import { ObstacleManager } from './systems/obstacles.js';
+import { CommandBus, CMD, LOCAL_COMMANDS } from './systems/command_bus.js';
+import { ControlGroups } from './systems/control_groups.js';
 import { GridSliceXZ } from './systems/grid_slice_xz.js';
 import { ShipLibrary } from './ships/ship_models.js';
-import { MapLoader, applyMapToWorld } from './systems/map_loader.js';
+import { MapLoader } from './systems/map_loader.js';
+import { parseMap } from './systems/map_schema.js';
+import { MapEditor } from './systems/map_editor.js';
+import { GENERATOR_DEFAULTS, generateMap } from './systems/map_generator.js';
+import { createSimulation } from './simulation.js';
+import { ReplayRecorder, ReplayPlayer, fetchReplay } from './systems/replay.js';
+import { SAVE_FORMAT, serializeWorld, restoreWorld } from './systems/save_game.js';
+import { UnitRenderer } from './render/unit_renderer.js';
+import { ObstacleRenderer } from './render/obstacle_renderer.js';
+import { CombatRenderer } from './render/combat_renderer.js';
+import { FogRenderer } from './render/fog_renderer.js';
+import { Minimap } from './ui/minimap.js';
+import { SelectionPanel } from './ui/selection_panel.js';
+import { PLAYER_FACTION } from './units/factions.js';
 
 const canvas = document.getElementById('rts-canvas');
 
@@ -53,46 +65,319 @@ controls.mouseButtons.RIGHT = THREE.MOUSE.PAN;
 const gridSlice = new GridSliceXZ({ halfSize: 100, step: 10, color: 0x00ff66, opacity: 0.3 });
 gridSlice.addTo(scene);
 
-// Systems
-const commandBus = new CommandBus();
-const obstacles = new ObstacleManager(scene);
+// Simulation (scene-free) and the renderers that mirror it
+const sim = createSimulation();
+const { unitManager } = sim;
 const shipLib = new ShipLibrary(scene);
-const unitManager = new UnitManager(scene, obstacles, shipLib);
+const unitRenderer = new UnitRenderer(scene, unitManager, shipLib);
+const obstacleRenderer = new ObstacleRenderer(scene, sim.obstacles);
+const combatRenderer = new CombatRenderer(scene, sim.combat);
+// Fog of war shows the player's faction what it knows; ?nofog shows everything
+const matchViewer = new URLSearchParams(window.location.search).has('nofog') ? null : PLAYER_FACTION;
+const fog = new FogRenderer(scene, sim.visibility, unitRenderer, obstacleRenderer, { faction: matchViewer });
 const gizmos = new GizmoRenderer(scene);
-const input = new InputSystem(renderer.domElement, camera, controls, gizmos, commandBus, unitManager, { gridSlice });
-const engine = createEngine(renderer, scene, camera, controls, [unitManager, obstacles, gridSlice, gizmos, input]);
+unitManager.onUnitRemoved((u) => {
+  gizmos.removeUnitDropLine(u);
+  gizmos.removeUnitPath(u);
+});
+const controlGroups = new ControlGroups(unitManager);
+const mapEditor = new MapEditor(sim.obstacles);
+// Input talks to a UI bus; orders are forwarded to the simulation unless a replay is playing
+const uiBus = new CommandBus();
+const input = new InputSystem(renderer.domElement, camera, controls, gizmos, uiBus, unitManager, {
+  gridSlice, controlGroups, unitRenderer, mapEditor, fog, onError: showError,
+});
+const minimap = new Minimap(document.getElementById('minimap'), {
+  unitManager, obstacles: sim.obstacles, camera, controls, input, commandBus: uiBus, fog,
+});
+const selectionPanel = new SelectionPanel(document.getElementById('selection-panel'), unitManager, { input });
+// Simulation runs in fixed ticks; everything else once per frame
+const simReadout = document.getElementById('sim-readout');
+const replayReadout = document.getElementById('replay-readout');
+const hud = {
+  update() {
+    // Hold the last frame of a replay instead of simulating past its end
+    if (player?.finished && !engine.paused) engine.pause();
+    if (simReadout) simReadout.textContent = engine.paused ? 'paused' : `${engine.speed}x`;
+    if (replayReadout) {
+      replayReadout.textContent = player
+        ? `replay ${formatTicks(sim.tick)} / ${formatTicks(player.endTick)}`
+        : recorder ? `rec ${formatTicks(recorder.tick)}` : '-';
+    }
+  },
+};
+const frameSystems = [obstacleRenderer, unitRenderer, combatRenderer, fog, gridSlice, gizmos, input, minimap, selectionPanel, hud];
+const engine = createEngine(renderer, scene, camera, controls, frameSystems, { simulation: sim });
+uiBus.onAny((type, payload) => {
+  if (!LOCAL_COMMANDS.has(type) && !player && !mapEditor.active) sim.commandBus.emit(type, payload);
+});
+uiBus.on(CMD.TOGGLE_PAUSE, () => engine.togglePause());
+uiBus.on(CMD.SET_GAME_SPEED, ({ speed, step }) => engine.setSpeed(step ? nextGameSpeed(engine.speed, step) : speed));
+uiBus.on(CMD.STEP_SIMULATION, () => { if (engine.paused) engine.step(); });
+
+// Map editor (M): the current map's obstacles and spawn points without fleets, frozen at their
+// starting poses. Ctrl+S downloads the map; leaving the editor starts a fresh match on it.
+uiBus.on(CMD.TOGGLE_MAP_EDITOR, () => {
+  if (mapEditor.active) {
+    currentMap = mapEditor.close();
+    startMatch(currentMap);
+    engine.resume();
+    console.log('Map editor closed, match restarted on the edited map');
+    return;
+  }
+  player?.dispose();
+  player = null;
+  recorder?.stop();
+  recorder = null;
+  engine.pause();
+  sim.reset();
+  fog.viewer = null;
+  mapEditor.open(currentMap);
+  applyMapGrid(currentMap);
+  console.log('Map editor open (M leaves it and starts a match on the map)');
+});
+uiBus.on(CMD.EXPORT_MAP, () => {
+  if (!mapEditor.active) return;
+  const map = mapEditor.toJSON();
+  const slug = (map.name ?? 'map').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'map';
+  downloadJSON(map, `${slug}.map.json`, 2);
+});
+uiBus.on(CMD.GENERATE_MAP, () => {
+  if (!mapEditor.active) return;
+  try {
+    const opts = generatorOptions();
+    mapEditor.replace(generateMap({ ...opts, seed: nextGeneratorSeed++ }));
+    applyMapGrid(mapEditor.map);
+    console.log(`Generated map: ${mapEditor.map.name}`);
+  } catch (err) {
+    showError('Map generation failed', err);
+  }
+});
+
+// Generated maps (?generate=<seed>, G in the map editor) take the generator options from the URL,
+// e.g. ?generate=7&players=3&systems=9&halfSize=900&planets=2&moons=1&asteroids=0.5
+function generatorOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const opts = {};
+  for (const key of Object.keys(GENERATOR_DEFAULTS)) {
+    if (params.get(key)) opts[key] = Number(params.get(key));
+  }
+  if (params.get('generate')) opts.seed = Number(params.get('generate'));
+  return opts;
+}
+let nextGeneratorSeed = (generatorOptions().seed ?? GENERATOR_DEFAULTS.seed) + 1;
+
+// Replays: the live match is always recorded (F8 downloads it); a replay file can be opened with
+// ?replay=<url> or by dropping it onto the page, and then owns the simulation
+let recorder = null;
+let player = null;
+uiBus.on(CMD.SAVE_REPLAY, () => {
+  if (recorder) downloadJSON(recorder.toJSON(), `replay-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+});
+uiBus.on(CMD.SEEK_REPLAY, ({ seconds, tick }) => {
+  if (!player) return;
+  player.seek(tick ?? sim.tick + seconds / sim.fixedDt);
+  if (!player.finished) engine.resume();
+});
+
+// Throws (leaving the current game untouched) if the file is not a usable replay
+function startReplay(replay) {
+  const next = new ReplayPlayer(sim, replay);
+  if (mapEditor.active) mapEditor.close();
+  player?.dispose();
+  recorder?.stop();
+  recorder = null;
+  player = next;
+  fog.viewer = null; // replays show both sides
+  currentMap = replay.map;
+  applyMapGrid(currentMap);
+  engine.setSpeed(1);
+  engine.resume();
+  console.log(`Replay loaded: ${replay.commands.length} commands, ${formatTicks(player.endTick)}`);
+}
+
+// Save games: F6 quicksave / F9 quickload (localStorage), Shift+F6 downloads a file, dropping a
+// save file loads it. Leaving the page autosaves a live match and the next visit resumes it
+// (open with ?new to start a fresh one).
+const SAVE_SLOTS = { quick: 'conquertheuniverse.quicksave', auto: 'conquertheuniverse.autosave' };
+let currentMap = null;
+
+function saveGame() {
+  return serializeWorld(sim, {
+    map: currentMap,
+    view: {
+      camera: camera.position.toArray(),
+      target: controls.target.toArray(),
+      cursor: { x: input.cursor.x, z: input.cursor.z, height: input.cursorHeight },
+    },
+  });
+}
+
+// Throws (leaving the current game untouched) if the file is not a usable save
+function loadGame(snap) {
+  const view = restoreWorld(sim, snap);
+  player?.dispose();
+  player = null;
+  recorder?.stop();
+  if (mapEditor.active) {
+    mapEditor.close();
+    engine.resume();
+  }
+  fog.viewer = matchViewer;
+  currentMap = snap.map;
+  applyMapGrid(currentMap);
+  if (view) {
+    camera.position.fromArray(view.camera);
+    controls.target.fromArray(view.target);
+    input.cursor.set(view.cursor.x, 0, view.cursor.z);
+    input.cursorHeight = view.cursor.height;
+    controls.update();
+  }
+  recorder = new ReplayRecorder(sim, currentMap);
+  console.log(`Loaded save: ${sim.unitManager.units.length} units at ${formatTicks(sim.tick)}`);
+}
+
+function storeSave(slot) {
+  try {
+    localStorage.setItem(SAVE_SLOTS[slot], JSON.stringify(saveGame()));
+  } catch (err) {
+    console.error(`Saving to the ${slot} slot failed`, err);
+  }
+}
+
+function readSave(slot) {
+  const raw = localStorage.getItem(SAVE_SLOTS[slot]);
+  return raw ? JSON.parse(raw) : null;
+}
+
+uiBus.on(CMD.SAVE_GAME, ({ download = false } = {}) => {
+  if (player) return; // a replay is not a game to save
+  if (download) downloadJSON(saveGame(), `save-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  else storeSave('quick');
+});
+uiBus.on(CMD.LOAD_GAME, () => {
+  try {
+    const snap = readSave('quick');
+    if (snap) loadGame(snap);
+    else console.log('No quicksave yet (F6)');
+  } catch (err) {
+    showError('Quickload failed', err);
+  }
+});
+window.addEventListener('pagehide', () => {
+  if (recorder && !player) storeSave('auto');
+});
+
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  const file = e.dataTransfer?.files?.[0];
+  if (!file) return;
+  try {
+    const data = JSON.parse(await file.text());
+    // In the map editor a dropped file is a map to edit
+    if (mapEditor.active) {
+      mapEditor.open(parseMap(data, file.name));
+      currentMap = mapEditor.map;
+      applyMapGrid(currentMap);
+    } else if (data?.format === SAVE_FORMAT) loadGame(data);
+    else startReplay(data);
+  } catch (err) {
+    showError(`Could not open ${file.name}`, err);
+  }
+});
+
+function formatTicks(ticks) {
+  const s = Math.floor(ticks * sim.fixedDt);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// `space` indents the file (maps are meant to be read and diffed)
+function downloadJSON(data, filename, space) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, space)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Resize the grid slice to the map (recreated, simplest for now); input follows the new one
+let activeGrid = gridSlice;
+function applyMapGrid(map) {
+  const halfSize = map?.size?.halfSize ?? 100;
+  const step = map?.size?.gridStep ?? 10;
+  scene.remove(activeGrid.object);
+  activeGrid = new GridSliceXZ({ halfSize, step, color: 0x00ff66, opacity: 0.3 });
+  activeGrid.addTo(scene);
+  input.gridSlice = activeGrid;
+  minimap.setHalfSize(halfSize);
+}
+
+// Problems with map, replay and save files are shown on screen (and logged), not only in the console.
+// MapError lists every schema violation with its path.
+const errorPanel = document.getElementById('error-panel');
+document.getElementById('error-close')?.addEventListener('click', () => { errorPanel.hidden = true; });
+function showError(title, err) {
+  console.error(title, err);
+  if (!errorPanel) return;
+  errorPanel.querySelector('#error-title').textContent = `${title}: ${err.summary ?? err.message}`;
+  errorPanel.querySelector('#error-list').replaceChildren(
+    ...(err.errors ?? []).map(text => Object.assign(document.createElement('li'), { textContent: text })),
+  );
+  errorPanel.hidden = false;
+}
 
 // Map loading & world setup
 (async function initMap() {
-  try {
-    const loader = new MapLoader();
-    const map = await loader.load('./maps/example_star_systems.map.json');
-
-    // Update grid slice size if provided
-    const halfSize = map?.size?.halfSize ?? 100;
-    const step = map?.size?.gridStep ?? 10;
-    if (gridSlice) {
-      // Recreate geometry by replacing object (simplest for now)
-      scene.remove(gridSlice.object);
-      const NewGridSlice = new GridSliceXZ({ halfSize, step, color: 0x00ff66, opacity: 0.3 });
-      NewGridSlice.addTo(scene);
-      // Replace reference used by input system
-      const idx = engine ? undefined : undefined; // no-op, input holds reference
-      input.gridSlice = NewGridSlice;
+  // Models first so fleets appear with their hulls rather than placeholder spheres, and collide as
+  // big as those hulls are
+  await shipLib.loadAll()
+    .then(ships => Object.values(ships).forEach(s => unitManager.setHullRadius(s.name, s.radius)))
+    .catch((err) => console.warn('Ship models failed to load', err));
+
+  const replayUrl = new URLSearchParams(window.location.search).get('replay');
+  if (replayUrl) {
+    try {
+      startReplay(await fetchReplay(replayUrl));
+      return;
+    } catch (err) {
+      showError('Replay load failed, starting a normal match', err);
     }
+  }
 
-    // Apply obstacles
-    const { spawns } = applyMapToWorld(map, { obstacles });
+  if (!new URLSearchParams(window.location.search).has('new')) {
+    try {
+      const snap = readSave('auto');
+      if (snap) {
+        loadGame(snap);
+        return;
+      }
+    } catch (err) {
+      showError('Autosave could not be resumed, starting a new match', err);
+    }
+  }
 
-    // Spawn a demo fleet at first spawn (fallback to origin)
-    const spawn = spawns && spawns.length ? spawns[0] : new THREE.Vector3(0, 2, 0);
-    await unitManager.spawnFleetAllShips(spawn);
+  try {
+    currentMap = new URLSearchParams(window.location.search).has('generate')
+      ? generateMap(generatorOptions())
+      : await new MapLoader().load('./maps/example_star_systems.map.json');
   } catch (err) {
-    console.error('Map load failed, falling back to defaults', err);
-    await unitManager.spawnFleetAllShips();
+    showError('Map could not be loaded', err);
+    return;
   }
+  startMatch(currentMap);
 })();
 
+// Obstacles plus one demo fleet per map spawn, each owned by that spawn's faction; recorded for replays
+function startMatch(map) {
+  sim.reset();
+  applyMapGrid(map);
+  sim.loadMap(map);
+  fog.viewer = matchViewer;
+  recorder = new ReplayRecorder(sim, map);
+}
+
 window.addEventListener('resize', () => {
   const w = window.innerWidth, h = window.innerHeight;
   renderer.setSize(w, h);
@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+// Draws CombatSystem projectiles (interpolated between ticks) and fading beam lines
+export class CombatRenderer {
+  constructor(scene, combat) {
+    this.scene = scene;
+    this.combat = combat; // CombatSystem
+    this.projectileMeshes = new Map(); // projectile -> Mesh
+    this.beamLines = new Map(); // beam -> Line
+    this._projGeo = new THREE.SphereGeometry(0.25, 6, 4);
+    this._projMats = new Map(); // color -> material
+  }
+
+  interpolate(alpha) {
+    const live = new Set(this.combat.projectiles);
+    for (const p of live) {
+      let mesh = this.projectileMeshes.get(p);
+      if (!mesh) {
+        mesh = new THREE.Mesh(this._projGeo, this._projMaterial(p.color));
+        this.projectileMeshes.set(p, mesh);
+        this.scene.add(mesh);
+      }
+      mesh.position.lerpVectors(p.prevPosition, p.position, alpha);
+    }
+    for (const [p, mesh] of this.projectileMeshes) {
+      if (live.has(p)) continue;
+      this.scene.remove(mesh);
+      this.projectileMeshes.delete(p);
+    }
+    this._syncBeams();
+  }
+
+  _syncBeams() {
+    const live = new Set(this.combat.beams);
+    for (const b of live) {
+      let line = this.beamLines.get(b);
+      if (!line) {
+        const g = new THREE.BufferGeometry().setFromPoints([b.from, b.to]);
+        const m = new THREE.LineBasicMaterial({ color: b.color, transparent: true, opacity: 1, depthWrite: false });
+        line = new THREE.Line(g, m);
+        line.frustumCulled = false;
+        line.renderOrder = 2;
+        this.beamLines.set(b, line);
+        this.scene.add(line);
+      }
+      line.material.opacity = Math.max(0, b.ttl / this.combat.beamLife);
+    }
+    for (const [b, line] of this.beamLines) {
+      if (live.has(b)) continue;
+      this.scene.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+      this.beamLines.delete(b);
+    }
+  }
+
+  _projMaterial(color) {
+    if (!this._projMats.has(color)) {
+      this._projMats.set(color, new THREE.MeshBasicMaterial({ color }));
+    }
+    return this._projMats.get(color);
+  }
+}
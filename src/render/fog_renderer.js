@@ -0,0 +1,58 @@
+import * as THREE from 'three';
+import { factionColor } from '../units/factions.js';
+
+// Fog of war on screen: hides the meshes of enemy units the viewing faction cannot see and of
+// obstacles it has not explored, and draws a wireframe ghost at the last known position of each
+// enemy it lost sight of. Runs after the unit and obstacle renderers so it has the final say on
+// `mesh.visible`. `viewer` is the faction whose knowledge is shown; null shows everything (replays,
+// the map editor). Shots stay visible: weapon fire gives ships away.
+export class FogRenderer {
+  constructor(scene, visibility, unitRenderer, obstacleRenderer, { faction = null } = {}) {
+    this.scene = scene;
+    this.visibility = visibility; // VisibilitySystem
+    this.unitRenderer = unitRenderer;
+    this.obstacleRenderer = obstacleRenderer;
+    this.viewer = faction;
+    this.ghostMarkers = []; // pooled wireframe meshes, one per shown ghost
+    this._ghostGeo = new THREE.OctahedronGeometry(1);
+  }
+
+  // True if the viewer may be shown this unit
+  canSee(u) {
+    return this.viewer === null || this.visibility.isVisible(this.viewer, u);
+  }
+
+  // True if the viewer may be shown this obstacle
+  canSeeObstacle(ob) {
+    return this.viewer === null || this.visibility.isExplored(this.viewer, ob);
+  }
+
+  // Last known positions of enemies the viewer lost sight of
+  ghosts() {
+    return this.viewer === null ? [] : [...this.visibility.ghostsOf(this.viewer)];
+  }
+
+  interpolate() {
+    for (const [u, mesh] of this.unitRenderer.meshes) mesh.visible = this.canSee(u);
+    for (const [ob, mesh] of this.obstacleRenderer.meshes) mesh.visible = this.canSeeObstacle(ob);
+    const ghosts = this.ghosts();
+    ghosts.forEach((g, i) => {
+      const marker = this.ghostMarkers[i] ?? this._addMarker();
+      marker.visible = true;
+      marker.position.copy(g.position);
+      marker.scale.setScalar(Math.max(2, g.radius * 1.5));
+      marker.material.color.setHex(factionColor(g.faction));
+    });
+    for (let i = ghosts.length; i < this.ghostMarkers.length; i++) this.ghostMarkers[i].visible = false;
+  }
+
+  _addMarker() {
+    const marker = new THREE.Mesh(
+      this._ghostGeo,
+      new THREE.MeshBasicMaterial({ wireframe: true, transparent: true, opacity: 0.45, depthWrite: false }),
+    );
+    this.ghostMarkers.push(marker);
+    this.scene.add(marker);
+    return marker;
+  }
+}
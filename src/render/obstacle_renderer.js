@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import { createRng } from '../systems/rng.js';
+
+// Scene meshes for ObstacleManager entries, kept in sync every frame; moving obstacles are placed
+// between their last two ticks like units
+export class ObstacleRenderer {
+  constructor(scene, obstacles) {
+    this.scene = scene;
+    this.obstacles = obstacles; // ObstacleManager
+    this.meshes = new Map(); // obstacle -> Mesh
+  }
+
+  interpolate(alpha) {
+    const live = new Set(this.obstacles.getAll());
+    for (const ob of live) {
+      let mesh = this.meshes.get(ob);
+      if (!mesh) {
+        mesh = createObstacleMesh(ob);
+        this.meshes.set(ob, mesh);
+        this.scene.add(mesh);
+      }
+      mesh.position.lerpVectors(ob.prevPosition, ob.position, alpha);
+      mesh.quaternion.slerpQuaternions(ob.prevQuaternion, ob.quaternion, alpha);
+    }
+    for (const [ob, mesh] of this.meshes) {
+      if (live.has(ob)) continue;
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      this.meshes.delete(ob);
+    }
+  }
+}
+
+function createObstacleMesh(ob) {
+  const mat = new THREE.MeshStandardMaterial({
+    color: ob.color ?? 0x444a66,
+    roughness: 0.9,
+    metalness: 0.0,
+    transparent: true,
+    opacity: ob.opacity ?? 0.95,
+    flatShading: ob.type === 'asteroidField',
+  });
+  const mesh = ob.type === 'asteroidField' ? createRockField(ob, mat) : new THREE.Mesh(createGeometry(ob), mat);
+  mesh.receiveShadow = true;
+  mesh.castShadow = false;
+  mesh.userData.obstacleId = ob.id;
+  return mesh;
+}
+
+// Geometry in the obstacle's local frame (see obstacle_shapes.js for the axis conventions)
+function createGeometry(ob) {
+  switch (ob.type) {
+    case 'box': {
+      const h = ob.halfExtents;
+      return new THREE.BoxGeometry(h.x * 2, h.y * 2, h.z * 2);
+    }
+    case 'capsule':
+      return new THREE.CapsuleGeometry(ob.radius, ob.length, 8, 24).rotateX(Math.PI / 2); // Y axis -> Z
+    case 'torus':
+      return new THREE.TorusGeometry(ob.radius, ob.tube, 16, 96).rotateX(Math.PI / 2); // XY plane -> XZ
+    default:
+      return new THREE.SphereGeometry(ob.radius, 32, 18);
+  }
+}
+
+// One instanced, randomly turned and squashed icosahedron per rock; the rng is seeded from the field
+// so every client draws the same rocks
+function createRockField(field, mat) {
+  const geo = new THREE.IcosahedronGeometry(1, 1);
+  const mesh = new THREE.InstancedMesh(geo, mat, field.rocks.length);
+  const rng = createRng(field.seed);
+  const m = new THREE.Matrix4();
+  const q = new THREE.Quaternion();
+  const e = new THREE.Euler();
+  const scale = new THREE.Vector3();
+  field.rocks.forEach((rock, i) => {
+    q.setFromEuler(e.set(rng.range(0, Math.PI * 2), rng.range(0, Math.PI * 2), rng.range(0, Math.PI * 2)));
+    scale.set(rng.range(0.8, 1), rng.range(0.6, 1), 1).multiplyScalar(rock.radius);
+    mesh.setMatrixAt(i, m.compose(rock.offset, q, scale));
+  });
+  mesh.instanceMatrix.needsUpdate = true;
+  return mesh;
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import { factionColor } from '../units/factions.js';
+
+// Scene meshes for simulated units. Units carry no rendering state: this class adds a mesh when a
+// unit spawns, interpolates it between ticks and highlights the selection.
+export class UnitRenderer {
+  constructor(scene, unitManager, shipLibrary = null) {
+    this.scene = scene;
+    this.shipLibrary = shipLibrary; // ShipLibrary; typed units fall back to a sphere without it
+    this.meshes = new Map(); // Unit -> Object3D
+    this._placeholderGeo = new THREE.SphereGeometry(0.6, 16, 12);
+    unitManager.onUnitAdded((u) => this.add(u));
+    unitManager.onUnitRemoved((u) => this.remove(u));
+    for (const u of unitManager.units) this.add(u);
+  }
+
+  add(u) {
+    if (this.meshes.has(u)) return;
+    const cached = u.type && this.shipLibrary ? this.shipLibrary.instantiateCached(u.type) : null;
+    this._attach(u, cached ? cached.mesh : this._placeholder());
+    // Swap the placeholder for the ship model once it has loaded
+    if (u.type && this.shipLibrary && !cached) {
+      this.shipLibrary.instantiate(u.type).then(({ mesh }) => {
+        if (this.meshes.has(u)) this._attach(u, mesh);
+      }).catch((err) => console.warn(`Ship model ${u.type} failed to load`, err));
+    }
+  }
+
+  remove(u) {
+    const mesh = this.meshes.get(u);
+    if (!mesh) return;
+    this.scene.remove(mesh);
+    this.meshes.delete(u);
+  }
+
+  // Interpolated display position of a unit (its sim position if it has no mesh)
+  displayPosition(u) {
+    return this.meshes.get(u)?.position ?? u.position;
+  }
+
+  // Unit whose mesh the raycaster hits first, or null
+  pick(raycaster) {
+    const byMesh = new Map();
+    for (const [u, mesh] of this.meshes) byMesh.set(mesh, u);
+    const hits = raycaster.intersectObjects([...byMesh.keys()], true);
+    for (const h of hits) {
+      for (let o = h.object; o; o = o.parent) {
+        if (byMesh.has(o)) return byMesh.get(o);
+      }
+    }
+    return null;
+  }
+
+  // Place meshes between the last two simulated states (alpha in [0,1] within the tick)
+  interpolate(alpha) {
+    for (const [u, mesh] of this.meshes) {
+      mesh.position.lerpVectors(u.prevPosition, u.position, alpha);
+      mesh.quaternion.slerpQuaternions(u.prevQuaternion, u.quaternion, alpha);
+      if (mesh.userData.selected !== u.selected) {
+        mesh.userData.selected = u.selected;
+        applySelectionHighlight(mesh, u.selected);
+      }
+    }
+  }
+
+  _attach(u, mesh) {
+    const old = this.meshes.get(u);
+    if (old) this.scene.remove(old);
+    mesh.castShadow = false;
+    mesh.receiveShadow = false;
+    mesh.position.copy(u.position);
+    mesh.quaternion.copy(u.quaternion);
+    applyFactionTint(mesh, u.faction);
+    mesh.userData.selected = u.selected;
+    applySelectionHighlight(mesh, u.selected);
+    this.meshes.set(u, mesh);
+    this.scene.add(mesh);
+  }
+
+  _placeholder() {
+    const mat = new THREE.MeshStandardMaterial({ color: 0x99c1ff, metalness: 0.2, roughness: 0.7 });
+    return new THREE.Mesh(this._placeholderGeo, mat);
+  }
+}
+
+// Blend base material colors towards the faction color so opposing fleets read apart
+function applyFactionTint(mesh, faction, strength = 0.45) {
+  const tint = new THREE.Color(factionColor(faction));
+  forEachMaterial(mesh, (m) => {
+    if (!m.color) return;
+    const ud = (m.userData = m.userData || {});
+    if (ud.__origColor === undefined) ud.__origColor = m.color.clone();
+    m.color.copy(ud.__origColor).lerp(tint, strength);
+  });
+}
+
+// Highlight by emissive only, do not touch base color/texture
+function applySelectionHighlight(mesh, sel) {
+  forEachMaterial(mesh, (m) => {
+    if (!m.emissive) return;
+    // Preserve originals once
+    const ud = (m.userData = m.userData || {});
+    if (ud.__origEmissive === undefined) ud.__origEmissive = m.emissive.clone();
+    if (ud.__origEmissiveIntensity === undefined && m.emissiveIntensity !== undefined) {
+      ud.__origEmissiveIntensity = m.emissiveIntensity;
+    }
+    if (sel) {
+      m.emissive.setHex(0x3355ff);
+      if (m.emissiveIntensity !== undefined) m.emissiveIntensity = Math.max(1.0, m.emissiveIntensity || 1.0);
+    } else {
+      m.emissive.copy(ud.__origEmissive);
+      if (ud.__origEmissiveIntensity !== undefined && m.emissiveIntensity !== undefined) m.emissiveIntensity = ud.__origEmissiveIntensity;
+    }
+  });
+}
+
+function forEachMaterial(root, fn) {
+  root.traverse((o) => {
+    if (!o.isMesh || !o.material) return;
+    if (Array.isArray(o.material)) o.material.forEach((m) => m && fn(m));
+    else fn(o.material);
+  });
+}
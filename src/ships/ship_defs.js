@@ -0,0 +1,22 @@
+// Ship definitions: stats and asset paths only, so the simulation can use them without loading
+// models (see ship_models.js for the GLTF side).
+// Stats are initial placeholders; can be tuned later.
+export const SHIP_DEFS = {
+  // accel in units/s^2, turn in rad/s (approximate, for feel). Larger ships have lower accel/turn.
+  // radius is the gameplay (collision/separation) radius used until the models are measured: rough
+  // sizes by class for headless runs and tests. With models loaded, ShipLibrary derives it from the
+  // hull's bounds (hullRadius) and the UnitManager spawns with that instead.
+  // sensor is how far the ship sees other ships (fog of war, visibility.js); interceptors scout.
+  // weapons reference WEAPON_DEFS in weapons.js; duplicates mean multiple mounts of that weapon.
+  Bob:        { path: 'assets/ships/Ultimate Spaceships - May 2021/Bob/glTF/Bob.gltf',           speed: 12, accel: 18, turn: 2.4, hp: 120, radius: 2.0, sensor: 160, role: 'frigate', weapons: ['autocannon', 'pulseLaser'] },
+  Spitfire:   { path: 'assets/ships/Ultimate Spaceships - May 2021/Spitfire/glTF/Spitfire.gltf', speed: 16, accel: 28, turn: 3.2, hp: 90,  radius: 1.2, sensor: 150, role: 'fighter', weapons: ['pulseLaser'] },
+  Striker:    { path: 'assets/ships/Ultimate Spaceships - May 2021/Striker/glTF/Striker.gltf',   speed: 15, accel: 26, turn: 3.0, hp: 100, radius: 1.3, sensor: 150, role: 'fighter', weapons: ['pulseLaser', 'pulseLaser'] },
+  Challenger: { path: 'assets/ships/Ultimate Spaceships - May 2021/Challenger/glTF/Challenger.gltf', speed: 10, accel: 12, turn: 1.8, hp: 220, radius: 2.8, sensor: 170, role: 'destroyer', weapons: ['heavyCannon', 'autocannon', 'pointDefense'] },
+  Zenith:     { path: 'assets/ships/Ultimate Spaceships - May 2021/Zenith/glTF/Zenith.gltf',     speed: 11, accel: 16, turn: 2.0, hp: 180, radius: 1.8, sensor: 180, role: 'corvette', weapons: ['autocannon', 'pointDefense'] },
+  Dispatcher: { path: 'assets/ships/Ultimate Spaceships - May 2021/Dispatcher/glTF/Dispatcher.gltf', speed: 9,  accel: 10, turn: 1.6, hp: 260, radius: 3.6, sensor: 200, role: 'carrier', weapons: ['pointDefense', 'pointDefense'] },
+  Executioner:{ path: 'assets/ships/Ultimate Spaceships - May 2021/Executioner/glTF/Executioner.gltf', speed: 8,  accel: 9,  turn: 1.4, hp: 320, radius: 3.4, sensor: 190, role: 'cruiser', weapons: ['ionBeam', 'heavyCannon', 'pointDefense'] },
+  Imperial:   { path: 'assets/ships/Ultimate Spaceships - May 2021/Imperial/glTF/Imperial.gltf', speed: 7,  accel: 7,  turn: 1.2, hp: 420, radius: 4.5, sensor: 210, role: 'capital', weapons: ['ionBeam', 'ionBeam', 'heavyCannon', 'torpedo', 'pointDefense'] },
+  Insurgent:  { path: 'assets/ships/Ultimate Spaceships - May 2021/Insurgent/glTF/Insurgent.gltf', speed: 13, accel: 22, turn: 2.6, hp: 140, radius: 1.5, sensor: 260, role: 'interceptor', weapons: ['pulseLaser', 'autocannon'] },
+  Omen:       { path: 'assets/ships/Ultimate Spaceships - May 2021/Omen/glTF/Omen.gltf',         speed: 12, accel: 18, turn: 2.2, hp: 150, radius: 2.2, sensor: 150, role: 'gunship', weapons: ['heavyCannon', 'autocannon'] },
+  Pancake:    { path: 'assets/ships/Ultimate Spaceships - May 2021/Pancake/glTF/Pancake.gltf',   speed: 9,  accel: 11, turn: 1.6, hp: 260, radius: 3.0, sensor: 220, role: 'support', weapons: ['pointDefense'] },
+};
@@ -1,22 +1,13 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
-import { GLTFLoader } from 'https://unpkg.com/three@0.160.0/examples/jsm/loaders/GLTFLoader.js';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { SHIP_DEFS } from './ship_defs.js';
 
-// Registry of ship definitions with base stats and paths
-// Stats are initial placeholders; can be tuned later.
-export const SHIP_DEFS = {
-  // accel in units/s^2, turn in rad/s (approximate, for feel). Larger ships have lower accel/turn.
-  Bob:        { path: 'assets/ships/Ultimate Spaceships - May 2021/Bob/glTF/Bob.gltf',           speed: 12, accel: 18, turn: 2.4, hp: 120, role: 'frigate' },
-  Spitfire:   { path: 'assets/ships/Ultimate Spaceships - May 2021/Spitfire/glTF/Spitfire.gltf', speed: 16, accel: 28, turn: 3.2, hp: 90,  role: 'fighter' },
-  Striker:    { path: 'assets/ships/Ultimate Spaceships - May 2021/Striker/glTF/Striker.gltf',   speed: 15, accel: 26, turn: 3.0, hp: 100, role: 'fighter' },
-  Challenger: { path: 'assets/ships/Ultimate Spaceships - May 2021/Challenger/glTF/Challenger.gltf', speed: 10, accel: 12, turn: 1.8, hp: 220, role: 'destroyer' },
-  Zenith:     { path: 'assets/ships/Ultimate Spaceships - May 2021/Zenith/glTF/Zenith.gltf',     speed: 11, accel: 16, turn: 2.0, hp: 180, role: 'corvette' },
-  Dispatcher: { path: 'assets/ships/Ultimate Spaceships - May 2021/Dispatcher/glTF/Dispatcher.gltf', speed: 9,  accel: 10, turn: 1.6, hp: 260, role: 'carrier' },
-  Executioner:{ path: 'assets/ships/Ultimate Spaceships - May 2021/Executioner/glTF/Executioner.gltf', speed: 8,  accel: 9,  turn: 1.4, hp: 320, role: 'cruiser' },
-  Imperial:   { path: 'assets/ships/Ultimate Spaceships - May 2021/Imperial/glTF/Imperial.gltf', speed: 7,  accel: 7,  turn: 1.2, hp: 420, role: 'capital' },
-  Insurgent:  { path: 'assets/ships/Ultimate Spaceships - May 2021/Insurgent/glTF/Insurgent.gltf', speed: 13, accel: 22, turn: 2.6, hp: 140, role: 'interceptor' },
-  Omen:       { path: 'assets/ships/Ultimate Spaceships - May 2021/Omen/glTF/Omen.gltf',         speed: 12, accel: 18, turn: 2.2, hp: 150, role: 'gunship' },
-  Pancake:    { path: 'assets/ships/Ultimate Spaceships - May 2021/Pancake/glTF/Pancake.gltf',   speed: 9,  accel: 11, turn: 1.6, hp: 260, role: 'support' },
-};
+export { SHIP_DEFS };
+
+// Gameplay radius of a hull from the bounding sphere of its model, a bit tighter than the visual one
+export function hullRadius(sphere) {
+  return Math.max(0.8, sphere.radius * 0.55);
+}
 
 export class ShipLibrary {
   constructor(scene = null) {
@@ -52,13 +43,15 @@ export class ShipLibrary {
     const entry = {
       name,
       mesh: template,
-      radius: Math.max(0.8, sphere.radius * 0.55), // gameplay radius a bit tighter than visual
+      radius: hullRadius(sphere),
+      visualRadius: sphere.radius,
       size,
       hp: def.hp,
       speed: def.speed,
       accel: def.accel ?? 15,
       turn: def.turn ?? 2.0,
       role: def.role,
+      weapons: def.weapons ?? [],
     };
     this.cache.set(name, entry);
     return entry;
@@ -75,7 +68,16 @@ export class ShipLibrary {
 
   // Create an instance (deep clone) of the ship mesh with materials shared
   async instantiate(name) {
-    const entry = await this.load(name);
+    return this._instance(await this.load(name));
+  }
+
+  // Same as instantiate() for an already loaded ship; null if it is not cached yet
+  instantiateCached(name) {
+    const entry = this.cache.get(name);
+    return entry ? this._instance(entry) : null;
+  }
+
+  _instance(entry) {
     const mesh = entry.mesh.clone(true);
     mesh.traverse((o) => {
       if (o.isMesh) {
@@ -0,0 +1,29 @@
+// Registry of weapon definitions referenced by SHIP_DEFS[*].weapons
+// kind: 'beam' hits instantly, 'projectile' spawns a bolt travelling at `speed` (units/s).
+// range in world units, damage per hit, cooldown in seconds, arc = half-angle (rad) around ship forward.
+export const WEAPON_DEFS = {
+  pulseLaser:   { kind: 'beam',       range: 40,  damage: 6,  cooldown: 0.6, arc: Math.PI / 8, color: 0xff5544 },
+  autocannon:   { kind: 'projectile', range: 55,  damage: 9,  cooldown: 0.9, arc: Math.PI / 5, speed: 90, color: 0xffcc55 },
+  pointDefense: { kind: 'projectile', range: 30,  damage: 3,  cooldown: 0.25, arc: Math.PI,    speed: 110, color: 0x99ffee },
+  ionBeam:      { kind: 'beam',       range: 70,  damage: 20, cooldown: 2.2, arc: Math.PI / 3, color: 0x66aaff },
+  heavyCannon:  { kind: 'projectile', range: 90,  damage: 32, cooldown: 3.5, arc: Math.PI / 2, speed: 60, color: 0xff8833 },
+  torpedo:      { kind: 'projectile', range: 130, damage: 60, cooldown: 8.0, arc: Math.PI / 4, speed: 35, color: 0xff44cc },
+};
+
+// Build per-unit weapon mounts (runtime cooldown state) from a list of weapon names
+export function createWeaponMounts(names = []) {
+  const mounts = [];
+  for (const name of names) {
+    const def = WEAPON_DEFS[name];
+    if (!def) throw new Error(`Unknown weapon: ${name}`);
+    mounts.push({ name, def, cooldownLeft: 0 });
+  }
+  return mounts;
+}
+
+// Longest range among a unit's mounts (0 when unarmed)
+export function maxWeaponRange(mounts) {
+  let r = 0;
+  for (const m of mounts) r = Math.max(r, m.def.range);
+  return r;
+}
@@ -0,0 +1,76 @@
+// Headless game state: units, obstacles, combat, fog of war and the command bus that drives them.
+// Nothing here touches a scene, the DOM or model assets, so it runs unchanged in Node
+// (see tools/headless_sim.js); main.js attaches renderers and input on top.
+import * as THREE from 'three';
+import { CommandBus } from './systems/command_bus.js';
+import { ObstacleManager } from './systems/obstacles.js';
+import { CombatSystem } from './systems/combat.js';
+import { VisibilitySystem } from './systems/visibility.js';
+import { UnitManager } from './units/unit_manager.js';
+import { applyMapToWorld } from './systems/map_loader.js';
+
+export function createSimulation({ tickRate = 30 } = {}) {
+  const fixedDt = 1 / tickRate;
+  const commandBus = new CommandBus();
+  const obstacles = new ObstacleManager();
+  const unitManager = new UnitManager(obstacles);
+  const combat = new CombatSystem(unitManager, obstacles);
+  const visibility = new VisibilitySystem(unitManager, obstacles);
+  unitManager.connectTo(commandBus);
+
+  // Update order per tick: steering, then weapons (which also removes the dead), then obstacles,
+  // then what each faction can see of the result
+  const systems = [unitManager, combat, obstacles, visibility];
+  const beforeTick = new Set(); // fn(tick) before each tick, e.g. replay playback feeding commands
+  let tick = 0;
+
+  return {
+    commandBus,
+    obstacles,
+    unitManager,
+    combat,
+    visibility,
+    systems,
+    fixedDt,
+    get tick() { return tick; },
+    get time() { return tick * fixedDt; },
+
+    // Advance `n` fixed ticks
+    step(n = 1) {
+      for (let i = 0; i < n; i++) {
+        beforeTick.forEach((fn) => fn(tick));
+        tick++;
+        for (const s of systems) s.update?.(fixedDt, tick * fixedDt);
+      }
+    },
+
+    // Subscribe to the start of every tick; returns an unsubscribe fn
+    onBeforeTick(fn) {
+      beforeTick.add(fn);
+      return () => beforeTick.delete(fn);
+    },
+
+    // Empty world, by default at tick 0 (unit removal listeners fire, so renderers and UI drop their state)
+    reset(startTick = 0) {
+      unitManager.clear();
+      obstacles.clear();
+      combat.clear();
+      visibility.clear();
+      tick = startTick;
+    },
+
+    // Apply a parsed map; with `fleets` every spawn gets the demo fleet of its faction.
+    // Returns the map spawns ({ position, faction }).
+    loadMap(map, { fleets = true } = {}) {
+      const { spawns } = applyMapToWorld(map, { obstacles });
+      if (fleets) {
+        if (spawns.length) {
+          for (const spawn of spawns) unitManager.spawnFleetAllShips(spawn.position, { faction: spawn.faction });
+        } else {
+          unitManager.spawnFleetAllShips(new THREE.Vector3(0, 2, 0));
+        }
+      }
+      return spawns;
+    },
+  };
+}
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { segmentHit } from './obstacle_shapes.js';
+
+// Weapons, target acquisition and damage resolution.
+// Every armed unit engages the nearest hostile inside a weapon's range and firing arc.
+// Beams hit instantly; projectiles travel and hit the first hostile (or obstacle) on their path.
+// Pure simulation state: CombatRenderer (src/render) draws the projectiles and beams listed here.
+export class CombatSystem {
+  constructor(unitManager, obstacles = null) {
+    this.unitManager = unitManager;
+    this.obstacles = obstacles; // ObstacleManager; obstacles block beams and projectiles
+    this.projectiles = []; // { position, prevPosition, velocity, damage, owner, ttl, color }
+    this.beams = []; // { from, to, color, ttl }
+    this.beamLife = 0.12; // seconds a beam stays visible
+  }
+
+  update(dt) {
+    for (const u of this.unitManager.units) {
+      if (u.dead || u.weapons.length === 0) continue;
+      this._updateUnitWeapons(u, dt);
+    }
+    this._updateProjectiles(dt);
+    this._updateBeams(dt);
+    this.unitManager.removeDead();
+  }
+
+  // Drop everything in flight (world reset)
+  clear() {
+    this.projectiles = [];
+    this.beams = [];
+  }
+
+  // Obstacles near the segment a->b (bounding sphere around it)
+  _obstaclesNear(a, b) {
+    if (!this.obstacles) return [];
+    const mid = a.clone().add(b).multiplyScalar(0.5);
+    return this.obstacles.queryObstacles(mid, a.distanceTo(b) / 2);
+  }
+
+  _updateUnitWeapons(u, dt) {
+    const units = this.unitManager.queryUnits(u.position, u.weaponRange);
+    // Drop engagement if the target died or left weapon range
+    if (u.attackTarget && (u.attackTarget.dead || u.position.distanceTo(u.attackTarget.position) > u.weaponRange)) {
+      u.attackTarget = null;
+    }
+    if (!u.attackTarget) u.attackTarget = nearestHostile(u, units, u.weaponRange);
+
+    const forward = u.getForward();
+    for (const w of u.weapons) {
+      w.cooldownLeft = Math.max(0, w.cooldownLeft - dt);
+      if (w.cooldownLeft > 0) continue;
+      // Prefer the engaged target, otherwise anything this mount can bear on
+      let target = u.attackTarget && canFireAt(u, forward, w.def, u.attackTarget) ? u.attackTarget : null;
+      if (!target) target = nearestHostile(u, units, w.def.range, (h) => canFireAt(u, forward, w.def, h));
+      if (!target) continue;
+      w.cooldownLeft = w.def.cooldown;
+      if (w.def.kind === 'beam') this._fireBeam(u, target, w.def);
+      else this._fireProjectile(u, target, w.def);
+    }
+  }
+
+  _fireBeam(owner, target, def) {
+    const end = target.position.clone();
+    const blocked = segmentHitsObstacle(owner.position, end, this._obstaclesNear(owner.position, end));
+    if (blocked) end.copy(blocked);
+    else target.takeDamage(def.damage);
+    this.beams.push({ from: owner.position.clone(), to: end, color: def.color ?? 0xff5544, ttl: this.beamLife });
+  }
+
+  _fireProjectile(owner, target, def) {
+    // Lead the target assuming constant velocity
+    const dist = owner.position.distanceTo(target.position);
+    const aim = target.position.clone().addScaledVector(target.velocity, dist / def.speed);
+    const dir = aim.sub(owner.position).normalize();
+    this.projectiles.push({
+      position: owner.position.clone(),
+      prevPosition: owner.position.clone(),
+      velocity: dir.multiplyScalar(def.speed),
+      damage: def.damage,
+      owner,
+      ttl: (def.range * 1.2) / def.speed,
+      color: def.color ?? 0xffcc55,
+    });
+  }
+
+  _updateProjectiles(dt) {
+    const next = new THREE.Vector3();
+    const mid = new THREE.Vector3();
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const p = this.projectiles[i];
+      p.ttl -= dt;
+      next.copy(p.position).addScaledVector(p.velocity, dt);
+      mid.copy(p.position).add(next).multiplyScalar(0.5);
+      const reach = p.position.distanceTo(next) / 2 + this.unitManager.maxUnitRadius;
+      const units = this.unitManager.queryUnits(mid, reach);
+
+      // Swept test against hostile units so fast bolts do not tunnel through small hulls
+      let hit = null;
+      let hitT = Infinity;
+      for (const u of units) {
+        if (u.dead || !isHostile(p.owner, u)) continue;
+        const t = segmentSphereT(p.position, next, u.position, u.radius);
+        if (t !== null && t < hitT) { hitT = t; hit = u; }
+      }
+      const wall = segmentHitsObstacle(p.position, next, this._obstaclesNear(p.position, next));
+      if (wall && hit && wall.distanceTo(p.position) < hitT * p.position.distanceTo(next)) hit = null;
+
+      if (hit) hit.takeDamage(p.damage);
+      if (hit || wall || p.ttl <= 0) {
+        this.projectiles.splice(i, 1);
+        continue;
+      }
+      p.prevPosition.copy(p.position);
+      p.position.copy(next);
+    }
+  }
+
+  _updateBeams(dt) {
+    for (let i = this.beams.length - 1; i >= 0; i--) {
+      this.beams[i].ttl -= dt;
+      if (this.beams[i].ttl <= 0) this.beams.splice(i, 1);
+    }
+  }
+}
+
+export function isHostile(a, b) {
+  return a !== b && a.faction !== b.faction;
+}
+
+// Nearest living hostile of `self` within range, optionally filtered
+export function nearestHostile(self, units, range, filter = null) {
+  return nearestHostileNear(self, self.position, units, range, filter);
+}
+
+// Nearest living hostile of `self` within range of an arbitrary point (e.g. an escorted ship)
+export function nearestHostileNear(self, point, units, range, filter = null) {
+  let best = null;
+  let bestD = range;
+  for (const u of units) {
+    if (u.dead || !isHostile(self, u)) continue;
+    const d = point.distanceTo(u.position);
+    if (d <= bestD && (!filter || filter(u))) {
+      bestD = d;
+      best = u;
+    }
+  }
+  return best;
+}
+
+// Range + firing arc check for one weapon mount
+function canFireAt(self, forward, def, target) {
+  const to = target.position.clone().sub(self.position);
+  const d = to.length();
+  if (d > def.range) return false;
+  if (d < 1e-6 || def.arc >= Math.PI) return true;
+  return forward.dot(to.divideScalar(d)) >= Math.cos(def.arc);
+}
+
+// Parametric t in [0,1] where segment a->b first enters the sphere, or null
+function segmentSphereT(a, b, center, radius) {
+  const ab = b.clone().sub(a);
+  const len2 = ab.lengthSq();
+  const t = len2 > 0 ? THREE.MathUtils.clamp(center.clone().sub(a).dot(ab) / len2, 0, 1) : 0;
+  const p = a.clone().addScaledVector(ab, t);
+  return p.distanceTo(center) <= radius ? t : null;
+}
+
+// First point where segment a->b touches an obstacle collider, or null
+function segmentHitsObstacle(a, b, obstacles) {
+  let best = null;
+  let bestT = Infinity;
+  for (const ob of obstacles) {
+    const t = segmentHit(ob, a, b);
+    if (t !== null && t < bestT) {
+      bestT = t;
+      best = a.clone().lerp(b, t);
+    }
+  }
+  return best;
+}
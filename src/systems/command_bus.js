@@ -1,6 +1,7 @@
 export class CommandBus {
   constructor() {
     this.listeners = new Map();
+    this.anyListeners = new Set(); // fn(type, payload) for every command, e.g. replay recording
   }
   on(type, fn) {
     if (!this.listeners.has(type)) this.listeners.set(type, new Set());
@@ -10,7 +11,13 @@ export class CommandBus {
   off(type, fn) {
     this.listeners.get(type)?.delete(fn);
   }
+  // Tap every command before its handlers run; returns an unsubscribe fn
+  onAny(fn) {
+    this.anyListeners.add(fn);
+    return () => this.anyListeners.delete(fn);
+  }
   emit(type, payload) {
+    this.anyListeners.forEach((fn) => fn(type, payload));
     this.listeners.get(type)?.forEach((fn) => fn(payload));
   }
 }
@@ -18,4 +25,35 @@ export class CommandBus {
 // Command types
 export const CMD = Object.freeze({
   MOVE_SELECTED_TO: 'MOVE_SELECTED_TO',
+  ATTACK_MOVE_SELECTED_TO: 'ATTACK_MOVE_SELECTED_TO',
+  ATTACK_UNIT_SELECTED: 'ATTACK_UNIT_SELECTED',
+  STOP_SELECTED: 'STOP_SELECTED',
+  HOLD_SELECTED: 'HOLD_SELECTED',
+  PATROL_SELECTED: 'PATROL_SELECTED',
+  ORBIT_SELECTED: 'ORBIT_SELECTED',
+  FOLLOW_UNIT_SELECTED: 'FOLLOW_UNIT_SELECTED',
+  ESCORT_UNIT_SELECTED: 'ESCORT_UNIT_SELECTED',
+  GUARD_UNIT_SELECTED: 'GUARD_UNIT_SELECTED',
+  SET_FORMATION: 'SET_FORMATION',
+  // Simulation control (handled by the engine, not by units)
+  TOGGLE_PAUSE: 'TOGGLE_PAUSE',
+  SET_GAME_SPEED: 'SET_GAME_SPEED', // { speed } or { step: +1 | -1 }
+  STEP_SIMULATION: 'STEP_SIMULATION',
+  // Replays (handled by main: recording download, seeking in replay mode)
+  SAVE_REPLAY: 'SAVE_REPLAY',
+  SEEK_REPLAY: 'SEEK_REPLAY', // { seconds } relative, or { tick } absolute
+  // Save games (handled by main)
+  SAVE_GAME: 'SAVE_GAME', // { download: true } for a file instead of the quicksave slot
+  LOAD_GAME: 'LOAD_GAME', // from the quicksave slot
+  // Map editor (handled by main)
+  TOGGLE_MAP_EDITOR: 'TOGGLE_MAP_EDITOR', // entering edits the current map, leaving starts a match on it
+  EXPORT_MAP: 'EXPORT_MAP', // download the edited map
+  GENERATE_MAP: 'GENERATE_MAP', // replace the edited map with a generated one (next seed)
 });
+
+// Commands that only drive the local client (engine, replay UI) and never reach the simulation
+export const LOCAL_COMMANDS = new Set([
+  CMD.TOGGLE_PAUSE, CMD.SET_GAME_SPEED, CMD.STEP_SIMULATION, CMD.SAVE_REPLAY, CMD.SEEK_REPLAY,
+  CMD.SAVE_GAME, CMD.LOAD_GAME, CMD.TOGGLE_MAP_EDITOR, CMD.EXPORT_MAP,
+  CMD.GENERATE_MAP,
+]);
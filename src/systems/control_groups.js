@@ -0,0 +1,30 @@
+// Numbered control groups (1..9). Groups hold unit references and drop units as they are removed.
+export class ControlGroups {
+  constructor(unitManager) {
+    this.groups = new Map(); // number -> Set<Unit>
+    unitManager.onUnitRemoved((u) => {
+      for (const g of this.groups.values()) g.delete(u);
+    });
+  }
+
+  assign(n, units) {
+    this.groups.set(n, new Set(units));
+  }
+
+  add(n, units) {
+    if (!this.groups.has(n)) this.groups.set(n, new Set());
+    const g = this.groups.get(n);
+    for (const u of units) g.add(u);
+  }
+
+  get(n) {
+    return [...(this.groups.get(n) ?? [])].filter(u => !u.dead);
+  }
+
+  // Non-empty groups as [{ n, count }], ascending
+  summary() {
+    const res = [];
+    for (const [n, g] of this.groups) if (g.size) res.push({ n, count: g.size });
+    return res.sort((a, b) => a.n - b.n);
+  }
+}
@@ -1,14 +1,44 @@
-export function createEngine(renderer, scene, camera, controls, systems = []) {
+// Game loop. The simulation (see simulation.js) advances in fixed ticks, independent of the display
+// refresh rate; frame systems (renderers, input, gizmos, grid) run once per animation frame and
+// those with interpolate(alpha) place their objects between the last two ticks.
+export const GAME_SPEEDS = [0.5, 1, 2, 4];
+
+// Neighbouring entry in GAME_SPEEDS (step = +1 faster, -1 slower)
+export function nextGameSpeed(current, step) {
+  let i = GAME_SPEEDS.indexOf(current);
+  if (i === -1) i = GAME_SPEEDS.indexOf(1);
+  return GAME_SPEEDS[Math.max(0, Math.min(GAME_SPEEDS.length - 1, i + step))];
+}
+
+export function createEngine(renderer, scene, camera, controls, systems = [], { simulation }) {
+  const fixedDt = simulation.fixedDt;
+  const maxTicksPerFrame = 16; // beyond this we slow down instead of spiralling
   let raf = 0;
   let last = performance.now();
   let running = false;
+  let paused = false;
+  let speed = 1;
+  let acc = 0;
 
   function update() {
     const now = performance.now();
-    const dt = Math.min(0.05, (now - last) / 1000);
+    const dt = Math.min(0.25, (now - last) / 1000);
     last = now;
 
-    for (const s of systems) s.update?.(dt, now / 1000);
+    if (!paused) {
+      acc += dt * speed;
+      let n = 0;
+      while (acc >= fixedDt && n < maxTicksPerFrame) {
+        simulation.step();
+        acc -= fixedDt;
+        n++;
+      }
+      if (n === maxTicksPerFrame) acc = 0;
+    }
+    const alpha = acc / fixedDt;
+    for (const s of systems) s.interpolate?.(alpha);
+
+    for (const s of systems) s.update?.(Math.min(0.05, dt), now / 1000);
     controls.update();
     renderer.render(scene, camera);
     if (running) raf = requestAnimationFrame(update);
@@ -23,5 +53,19 @@ export function createEngine(renderer, scene, camera, controls, systems = []) {
     stop() {
       running = false; cancelAnimationFrame(raf);
     },
+    pause() { paused = true; },
+    resume() { paused = false; last = performance.now(); },
+    togglePause() { if (paused) this.resume(); else this.pause(); },
+    setSpeed(s) { speed = s > 0 ? s : 1; },
+    // Advance exactly one tick (meant for use while paused)
+    step() {
+      simulation.step();
+      acc = 0;
+      for (const s of systems) s.interpolate?.(1);
+    },
+    get paused() { return paused; },
+    get speed() { return speed; },
+    get tick() { return simulation.tick; },
+    fixedDt,
   };
 }
@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+import { signedDistance } from './obstacle_shapes.js';
+import { CELL, MinHeap, NEIGHBORS, TIGHT_COST, cellState } from './pathfinding.js';
+
+// Shared navigation for big groups: one Dijkstra pass from the goal over a dense voxel box gives
+// every cell its travel cost to the goal, and each cell points downhill. Ships sample the field
+// (blended between the eight surrounding cells, so headings change smoothly) for their desired
+// heading instead of planning routes one by one. Ships on different sides of a cluster flow round
+// different sides of it, rather than all queuing at the same route corner.
+// Cells are classified with the same rule as the Pathfinder grid, whose static colliders it reuses;
+// boxes that would need more than MAX_CELLS route-sized cells use coarser ones.
+const MAX_CELLS = 60000;
+
+export class FlowField {
+  // goal: THREE.Vector3; min/max: corners of the box to cover; clearance: hull radius plus margin
+  constructor(pathfinder, goal, min, max, clearance) {
+    pathfinder.sync();
+    const size = max.clone().sub(min);
+    const s = Math.max(pathfinder.cellSize, Math.ceil(Math.cbrt((size.x * size.y * size.z) / MAX_CELLS)));
+    this.cellSize = s;
+    this.goal = goal.clone();
+    this.origin = [Math.floor(min.x / s), Math.floor(min.y / s), Math.floor(min.z / s)];
+    this.dims = [
+      Math.floor(max.x / s) - this.origin[0] + 1,
+      Math.floor(max.y / s) - this.origin[1] + 1,
+      Math.floor(max.z / s) - this.origin[2] + 1,
+    ];
+    const n = this.dims[0] * this.dims[1] * this.dims[2];
+    this.state = this._rasterize(pathfinder.colliders, clearance, n);
+    // Neighbour steps as [dx, dy, dz, index offset, length]
+    const [, ny, nz] = this.dims;
+    this._steps = NEIGHBORS.map(([dx, dy, dz, len]) => [dx, dy, dz, (dx * ny + dy) * nz + dz, len]);
+    this.cost = this._integrate(n);
+    this.dirs = this._directions(n);
+  }
+
+  // Unit heading towards the goal at `p`, or null outside the field, in closed space or at the goal
+  sample(p, out = new THREE.Vector3()) {
+    const s = this.cellSize;
+    // Continuous cell coordinates, measured so cell centres sit on integers
+    const fx = p.x / s - 0.5 - this.origin[0];
+    const fy = p.y / s - 0.5 - this.origin[1];
+    const fz = p.z / s - 0.5 - this.origin[2];
+    const x0 = Math.floor(fx), y0 = Math.floor(fy), z0 = Math.floor(fz);
+    out.set(0, 0, 0);
+    let weight = 0;
+    for (let c = 0; c < 8; c++) {
+      const x = x0 + (c & 1), y = y0 + ((c >> 1) & 1), z = z0 + ((c >> 2) & 1);
+      const i = this._index(x, y, z);
+      if (i < 0 || this.cost[i] === Infinity) continue;
+      const w = (1 - Math.abs(fx - x)) * (1 - Math.abs(fy - y)) * (1 - Math.abs(fz - z));
+      out.x += this.dirs[i * 3] * w;
+      out.y += this.dirs[i * 3 + 1] * w;
+      out.z += this.dirs[i * 3 + 2] * w;
+      weight += w;
+    }
+    const len = out.length();
+    if (weight === 0 || len < 1e-3 * weight) return null;
+    return out.divideScalar(len);
+  }
+
+  _inside(x, y, z) {
+    const d = this.dims;
+    return x >= 0 && y >= 0 && z >= 0 && x < d[0] && y < d[1] && z < d[2];
+  }
+
+  // Cell index of grid coordinates relative to `origin`, or -1 outside the box
+  _index(x, y, z) {
+    return this._inside(x, y, z) ? (x * this.dims[1] + y) * this.dims[2] + z : -1;
+  }
+
+  // Cell states: everything is open except cells within reach of some collider
+  _rasterize(colliders, clearance, n) {
+    const s = this.cellSize;
+    const reach = Math.ceil(clearance) + s;
+    const dist = new Float32Array(n).fill(Infinity);
+    const p = new THREE.Vector3();
+    const [ox, oy, oz] = this.origin;
+    const [nx, ny, nz] = this.dims;
+    // Range of cells whose centres lie within [v - r, v + r] on one axis
+    const first = (v, o) => Math.max(0, Math.ceil(v / s - 0.5) - o);
+    const last = (v, o, size) => Math.min(size - 1, Math.floor(v / s - 0.5) - o);
+    for (const c of colliders) {
+      const r = c.boundingRadius + reach;
+      const { x: cx, y: cy, z: cz } = c.position;
+      for (let x = first(cx - r, ox), x1 = last(cx + r, ox, nx); x <= x1; x++) {
+        for (let y = first(cy - r, oy), y1 = last(cy + r, oy, ny); y <= y1; y++) {
+          for (let z = first(cz - r, oz), z1 = last(cz + r, oz, nz); z <= z1; z++) {
+            const i = (x * ny + y) * nz + z;
+            p.set((x + ox + 0.5) * s, (y + oy + 0.5) * s, (z + oz + 0.5) * s);
+            dist[i] = Math.min(dist[i], signedDistance(c, p));
+          }
+        }
+      }
+    }
+    const state = new Uint8Array(n);
+    for (let i = 0; i < n; i++) state[i] = cellState(dist[i], clearance, s);
+    return state;
+  }
+
+  // Travel cost from every reachable cell to the goal cell (Dijkstra outward from the goal)
+  _integrate(n) {
+    const s = this.cellSize;
+    const cost = new Float64Array(n).fill(Infinity);
+    const [nx, ny, nz] = this.dims;
+    const clampCell = (v, o, size) => THREE.MathUtils.clamp(Math.floor(v / s) - o, 0, size - 1);
+    const gx = clampCell(this.goal.x, this.origin[0], nx);
+    const gy = clampCell(this.goal.y, this.origin[1], ny);
+    const gz = clampCell(this.goal.z, this.origin[2], nz);
+    const goal = this._index(gx, gy, gz);
+    this.state[goal] = CELL.OPEN; // targets are already projected outside obstacles
+    cost[goal] = 0;
+    const open = new MinHeap();
+    open.push(goal, 0);
+    const done = new Uint8Array(n);
+    while (open.size) {
+      const i = open.pop();
+      if (done[i]) continue;
+      done[i] = 1;
+      const c = cost[i];
+      const z = i % nz;
+      const y = ((i - z) / nz) % ny;
+      const x = (i - z - y * nz) / (ny * nz);
+      // A ship flies j -> i, paying extra for entering a tight cell (as on the route grid)
+      const stepCost = this.state[i] === CELL.TIGHT ? TIGHT_COST : 1;
+      for (const [dx, dy, dz, offset, step] of this._steps) {
+        if (!this._inside(x + dx, y + dy, z + dz)) continue;
+        const j = i + offset;
+        if (this.state[j] === CELL.CLOSED) continue;
+        const k = c + step * stepCost;
+        if (k < cost[j]) {
+          cost[j] = k;
+          open.push(j, k);
+        }
+      }
+    }
+    return cost;
+  }
+
+  // Per cell: unit vector downhill (zero at the goal and in closed cells). Every cheaper neighbour
+  // pulls by its cost drop per unit length; following only the cheapest one would snap the whole
+  // group onto the few grid lines through the goal, where the ships stack up.
+  _directions(n) {
+    const dirs = new Float32Array(n * 3);
+    const [, ny, nz] = this.dims;
+    const d = new THREE.Vector3();
+    const step = new THREE.Vector3();
+    for (let i = 0; i < n; i++) {
+      if (this.cost[i] === Infinity) continue;
+      const z = i % nz;
+      const y = ((i - z) / nz) % ny;
+      const x = (i - z - y * nz) / (ny * nz);
+      d.set(0, 0, 0);
+      for (const [dx, dy, dz, offset, len] of this._steps) {
+        if (!this._inside(x + dx, y + dy, z + dz)) continue;
+        const drop = (this.cost[i] - this.cost[i + offset]) / len;
+        if (drop > 0) d.addScaledVector(step.set(dx, dy, dz), drop / len);
+      }
+      if (d.lengthSq() < 1e-12) continue;
+      d.normalize();
+      dirs[i * 3] = d.x;
+      dirs[i * 3 + 1] = d.y;
+      dirs[i * 3 + 2] = d.z;
+    }
+    return dirs;
+  }
+}
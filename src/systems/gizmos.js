@@ -1,4 +1,5 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three';
+import { factionColor } from '../units/factions.js';
 
 export class GizmoRenderer {
   constructor(scene) {
@@ -25,6 +26,8 @@ export class GizmoRenderer {
     this._cursor = new THREE.Vector3();
     this._cursorHeight = 0;
     this.unitDropLines = new Map(); // unitId -> line
+    this.unitPaths = new Map(); // unitId -> polyline through queued waypoints
+    this.spawnMarkers = []; // map editor: one marker (with drop line) per spawn point
   }
 
   setCursorPosition(vec3, height) {
@@ -64,13 +67,74 @@ export class GizmoRenderer {
     }
   }
 
-  updateUnitDropLine(unit) {
+  // `p` is the unit's display position (interpolated by UnitRenderer); defaults to the sim position
+  updateUnitDropLine(unit, p = unit.position) {
     const l = this.ensureUnitDropLine(unit);
-    updateLine(l, unit.position.y);
-    l.position.set(unit.position.x, 0, unit.position.z);
+    updateLine(l, p.y);
+    l.position.set(p.x, 0, p.z);
     l.visible = true;
-    // Color tweak when selected
-    l.material.color.setHex(unit.selected ? 0xffffff : 0x88ffaa);
+    // Faction color, white when selected
+    l.material.color.setHex(unit.selected ? 0xffffff : factionColor(unit.faction));
+  }
+
+  // Hidden while the unit is out of the player's sight (fog of war)
+  hideUnitDropLine(unit) {
+    const l = this.unitDropLines.get(unit.id);
+    if (l) l.visible = false;
+  }
+
+  // Polyline from a selected unit through its current and queued order points
+  updateUnitPath(unit, from = unit.position) {
+    const pts = unit.selected ? unit.getWaypoints() : [];
+    let l = this.unitPaths.get(unit.id);
+    if (pts.length === 0) {
+      if (l) l.visible = false;
+      return;
+    }
+    if (!l) {
+      l = polyline(0xffffff, MAX_PATH_POINTS);
+      this.unitPaths.set(unit.id, l);
+      this.scene.add(l);
+    }
+    const pos = l.geometry.getAttribute('position');
+    const n = Math.min(MAX_PATH_POINTS, pts.length + 1);
+    pos.setXYZ(0, from.x, from.y, from.z);
+    for (let i = 1; i < n; i++) pos.setXYZ(i, pts[i - 1].x, pts[i - 1].y, pts[i - 1].z);
+    pos.needsUpdate = true;
+    l.geometry.setDrawRange(0, n);
+    l.visible = true;
+  }
+
+  removeUnitPath(unit) {
+    const l = this.unitPaths.get(unit.id);
+    if (l) {
+      this.scene.remove(l);
+      l.geometry.dispose();
+      l.material.dispose();
+      this.unitPaths.delete(unit.id);
+    }
+  }
+
+  // Map editor spawn points ({ x, y, z, faction }); an empty list removes the markers
+  setSpawnMarkers(spawns) {
+    for (const m of this.spawnMarkers) {
+      this.scene.remove(m);
+      m.traverse((o) => { o.geometry?.dispose(); o.material?.dispose(); });
+    }
+    this.spawnMarkers = spawns.map((s) => {
+      const color = factionColor(s.faction);
+      const marker = new THREE.Mesh(
+        new THREE.OctahedronGeometry(SPAWN_MARKER_SIZE),
+        new THREE.MeshBasicMaterial({ color, wireframe: true }),
+      );
+      marker.position.set(s.x, s.y, s.z);
+      const drop = lineY(color);
+      updateLine(drop, s.y);
+      drop.position.y = -s.y;
+      marker.add(drop);
+      this.scene.add(marker);
+      return marker;
+    });
   }
 
   update(dt) {
@@ -78,6 +142,20 @@ export class GizmoRenderer {
   }
 }
 
+const MAX_PATH_POINTS = 32;
+const SPAWN_MARKER_SIZE = 4;
+
+function polyline(color, maxPoints) {
+  const g = new THREE.BufferGeometry();
+  g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxPoints * 3), 3));
+  g.setDrawRange(0, 0);
+  const m = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false });
+  const line = new THREE.Line(g, m);
+  line.frustumCulled = false;
+  line.renderOrder = 1;
+  return line;
+}
+
 function lineY(color) {
   const g = new THREE.BufferGeometry();
   const verts = new Float32Array([
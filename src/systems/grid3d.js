@@ -1,4 +1,4 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three';
 
 // Renders a semi-transparent 3D lattice/grid within a cubic volume (x = y = z)
 // Default visual: hacker green with ~0.3 opacity.
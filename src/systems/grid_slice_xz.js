@@ -1,4 +1,4 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three';
 
 // Renders a semi-transparent XZ grid slice that can be positioned along Y
 export class GridSliceXZ {
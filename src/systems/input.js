@@ -1,6 +1,17 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three';
 import { ndcFromMouseEvent, rayFromMouse, raycastGroundPlane } from './math.js';
 import { CMD } from './command_bus.js';
+import { rayHit } from './obstacle_shapes.js';
+import { PLAYER_FACTION } from '../units/factions.js';
+import { FORMATION_LIST } from '../units/formations.js';
+import { EDITOR_OBSTACLE_TYPES, SPAWN_RADIUS } from './map_editor.js';
+
+// Pending order -> command for orders that target another unit
+const STATION_COMMANDS = {
+    follow: CMD.FOLLOW_UNIT_SELECTED,
+    escort: CMD.ESCORT_UNIT_SELECTED,
+    guard: CMD.GUARD_UNIT_SELECTED,
+};
 
 export class InputSystem {
     constructor(canvas, camera, controls, gizmos, commandBus, unitManager, opts = {}) {
@@ -12,6 +23,12 @@ export class InputSystem {
         this.commandBus = commandBus;
         this.unitManager = unitManager;
         this.gridSlice = opts.gridSlice ?? null;
+        this.playerFaction = opts.playerFaction ?? PLAYER_FACTION; // only own units are selectable
+        this.controlGroups = opts.controlGroups ?? null;
+        this.unitRenderer = opts.unitRenderer ?? null; // UnitRenderer: mesh picking and display positions
+        this.mapEditor = opts.mapEditor ?? null; // MapEditor: while active, mouse and keys edit the map
+        this.fog = opts.fog ?? null; // FogRenderer: units it hides get no drop line and cannot be picked
+        this.onError = opts.onError ?? null; // (title, err) => void: shows errors the player caused, e.g. rejected map edits
 
         // --- CONFIGURATION ---
         // 1. Drag Speed (Float) - Applies to Locked (manual) and Unlocked (OrbitControls) panning.
@@ -32,6 +49,10 @@ export class InputSystem {
         this.isSelecting = false;
         this.selectCenter = new THREE.Vector3();
         this.selectRadius = 0;
+        this._selectMode = 'replace'; // 'replace' | 'add' (Shift) | 'remove' (Ctrl/Alt)
+        this._selectStartNdc = { x: 0, y: 0 };
+        this._selectDragged = false;
+        this._lastClick = { unit: null, time: 0 }; // double-click detection
 
         // Camera interaction state (keep cursor relative to camera while moving)
         this.cameraInteracting = false;
@@ -63,6 +84,25 @@ export class InputSystem {
         this._ndcX = 0;
         this._ndcY = 0;
 
+        // Order hotkeys: 'attack' | 'patrol' | 'orbit' | 'follow' | 'escort' | 'guard' while waiting for the click that places the order
+        this._pendingOrder = null;
+        // Control group recall: a second tap of the same number within this window centers the camera
+        this._lastGroupTap = { n: 0, time: 0 };
+        this._doubleTapMs = 350;
+
+        this.orbitRadius = 20; // orbit distance from an obstacle's surface, or from a clicked point
+        this._orbitRadiusStep = 5;
+        this._lastKeyEvent = null;
+
+        // Map editor: LMB drag of the picked item ({ item, grab offset, from, to, moved }), [ ] resize factor
+        this._editorDrag = null;
+        this._editorScale = 1.1;
+        this._spawnRevision = -1; // map editor revision the spawn markers show (-1 = none shown)
+
+        // Unit picking
+        this._raycaster = new THREE.Raycaster();
+        this._pickNdc = new THREE.Vector2();
+
         // Bind events
         this._onMouseDown = (e) => this.onMouseDown(e);
         this._onMouseMove = (e) => this.onMouseMove(e);
@@ -125,9 +165,6 @@ export class InputSystem {
         document.addEventListener('pointerlockchange', () => this._onPointerLockChange());
         document.addEventListener('pointerlockerror', () => console.warn('[InputSystem] Pointer lock error'));
 
-        // Hook unit manager to command bus
-        this.unitManager.connectTo(this.commandBus);
-
         // Listen to OrbitControls start/end to manage camera interaction
         this.controls.addEventListener('start', () => {
             console.log('[InputSystem] OrbitControls start');
@@ -143,6 +180,9 @@ export class InputSystem {
 
         // HUD readout
         this._cursorReadout = document.getElementById('cursor-readout');
+        this._formationReadout = document.getElementById('formation-readout');
+        this._groupReadout = document.getElementById('group-readout');
+        this._editorReadout = document.getElementById('editor-readout');
         console.log(`[InputSystem] Ready. Pan:${this.panSpeedMultiplier}, Zoom:${this.zoomSpeed}`);
     }
 
@@ -182,7 +222,17 @@ export class InputSystem {
 
         // Update cursor drop line
         this.gizmos.setCursorPosition(this.cursor, this.cursorHeight);
-        for (const u of this.unitManager.units) this.gizmos.updateUnitDropLine(u);
+        for (const u of this.unitManager.units) {
+            if (this.fog && !this.fog.canSee(u)) {
+                this.gizmos.hideUnitDropLine(u);
+                continue;
+            }
+            const p = this.unitRenderer ? this.unitRenderer.displayPosition(u) : u.position;
+            this.gizmos.updateUnitDropLine(u, p);
+            this.gizmos.updateUnitPath(u, p);
+        }
+
+        this._updateEditorGizmos();
 
         // Update grid slice Y
         if (this.gridSlice) {
@@ -204,6 +254,46 @@ export class InputSystem {
             const z = this.cursor.z;
             this._cursorReadout.textContent = `(${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`;
         }
+        if (this._formationReadout) this._formationReadout.textContent = this.unitManager.formation;
+        if (this._groupReadout && this.controlGroups) {
+            const groups = this.controlGroups.summary();
+            this._groupReadout.textContent = groups.length ? groups.map(g => `[${g.n}] ${g.count}`).join(' ') : '-';
+        }
+        if (this._editorReadout && this.mapEditor) {
+            const ed = this.mapEditor;
+            this._editorReadout.textContent = ed.active
+                ? `${ed.map.obstacles.length} obstacles, ${ed.map.spawns.length} spawns, selected: ${ed.selected ? ed.describe(ed.selected) : '-'}`
+                : 'off';
+        }
+    }
+
+    // Spawn markers and the highlight of the selected (or dragged) item while the map editor is open
+    _updateEditorGizmos() {
+        const ed = this.mapEditor;
+        if (!ed?.active) {
+            if (this._spawnRevision !== -1) {
+                this._spawnRevision = -1;
+                this._editorDrag = null;
+                this.gizmos.setSpawnMarkers([]);
+                this.gizmos.hideSelectionSphere();
+            }
+            return;
+        }
+        if (this._spawnRevision !== ed.revision) {
+            this._spawnRevision = ed.revision;
+            this.gizmos.setSpawnMarkers(ed.map.spawns);
+        }
+        const drag = this._editorDrag;
+        if (drag) {
+            drag.to.copy(this._cursorPoint()).add(drag.grab);
+            if (drag.to.distanceTo(drag.from) >= 0.5) drag.moved = true;
+        }
+        if (ed.selected) {
+            const center = drag?.moved ? drag.to : ed.positionOf(ed.selected);
+            this.gizmos.showSelectionSphere(center, ed.radiusOf(ed.selected));
+        } else {
+            this.gizmos.hideSelectionSphere();
+        }
     }
 
     _handleEdgeScrolling(dt) {
@@ -390,9 +480,8 @@ export class InputSystem {
         // End Locked Interaction
         if (e.button === 2 && this.pointerLocked) {
             if (!this._rmbDragged && !this._suppressRmbClick) {
-                const target = new THREE.Vector3(this.cursor.x, this.cursorHeight, this.cursor.z);
-                console.log(`[InputSystem] Locked Click -> Move to: ${target.x.toFixed(1)}, ${target.z.toFixed(1)}`);
-                this.commandBus.emit(CMD.MOVE_SELECTED_TO, { target });
+                console.log('[InputSystem] Locked Click -> Order');
+                this._issueOrderAtCursor(this._eventNdc(e), e.shiftKey);
             } else {
                 console.log('[InputSystem] Locked Pan End (No Click)');
             }
@@ -473,25 +562,296 @@ export class InputSystem {
     }
 
     onKeyDown(e) {
-        if (e.key === 'l' || e.key === 'L') {
+        // keydown is bound on both canvas and document; handle each event once
+        if (e === this._lastKeyEvent) return;
+        this._lastKeyEvent = e;
+
+        const key = e.key.toLowerCase();
+        if (key === 'l') {
             e.preventDefault();
             this.togglePointerLock();
+            return;
+        }
+        // M toggles the map editor, which then takes the keyboard (camera keys above still work)
+        if (key === 'm' && this.mapEditor && !e.ctrlKey && !e.metaKey && !e.repeat) {
+            e.preventDefault();
+            this._pendingOrder = null;
+            this.commandBus.emit(CMD.TOGGLE_MAP_EDITOR);
+            return;
+        }
+        if (this.mapEditor?.active) {
+            this._onEditorKey(key, e);
+            return;
+        }
+        if (key === 'escape') {
+            this._pendingOrder = null;
+            return;
+        }
+        // Control groups: Ctrl+N assign, Shift+N add, N recall (double tap centers camera)
+        const digit = /^Digit([1-9])$/.exec(e.code);
+        if (digit && this.controlGroups && !e.repeat) {
+            e.preventDefault();
+            this._onGroupKey(Number(digit[1]), e);
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.repeat) return;
+
+        // Simulation control: Space/Pause = pause, - / + = game speed, . = single step while paused
+        if (key === ' ' || key === 'pause') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.TOGGLE_PAUSE);
+            return;
+        }
+        if (key === '-' || key === '+' || key === '=') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.SET_GAME_SPEED, { step: key === '-' ? -1 : 1 });
+            return;
+        }
+        if (key === '.') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.STEP_SIMULATION);
+            return;
+        }
+
+        // Replays: F8 downloads the current recording; in replay mode arrows seek 10s, Home rewinds
+        if (key === 'f8') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.SAVE_REPLAY);
+            return;
+        }
+        // Save games: F6 quicksave (Shift+F6 downloads a file), F9 quickload
+        if (key === 'f6') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.SAVE_GAME, { download: e.shiftKey });
+            return;
+        }
+        if (key === 'f9') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.LOAD_GAME);
+            return;
+        }
+        if (key === 'arrowleft' || key === 'arrowright') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.SEEK_REPLAY, { seconds: key === 'arrowleft' ? -10 : 10 });
+            return;
+        }
+        if (key === 'home') {
+            e.preventDefault();
+            this.commandBus.emit(CMD.SEEK_REPLAY, { tick: 0 });
+            return;
+        }
+
+        if (key === 'a') {
+            e.preventDefault();
+            this._pendingOrder = 'attack';
+            console.log('[InputSystem] Attack-move: click a target point or enemy');
+        } else if (key === 's') {
+            e.preventDefault();
+            this._pendingOrder = null;
+            console.log('[InputSystem] Stop');
+            this.commandBus.emit(CMD.STOP_SELECTED);
+        } else if (key === 'h') {
+            e.preventDefault();
+            this._pendingOrder = null;
+            console.log('[InputSystem] Hold position');
+            this.commandBus.emit(CMD.HOLD_SELECTED);
+        } else if (key === 'p') {
+            e.preventDefault();
+            this._pendingOrder = 'patrol';
+            console.log('[InputSystem] Patrol: click the far patrol point (Shift+click extends the route)');
+        } else if (key === 'o') {
+            e.preventDefault();
+            this._pendingOrder = 'orbit';
+            console.log(`[InputSystem] Orbit: click an obstacle or point (radius ${this.orbitRadius}, [ / ] to adjust)`);
+        } else if (key === 'f' || key === 'e' || key === 'g') {
+            e.preventDefault();
+            this._pendingOrder = { f: 'follow', e: 'escort', g: 'guard' }[key];
+            console.log(`[InputSystem] ${this._pendingOrder}: click the unit to ${this._pendingOrder}`);
+        } else if (key === 'v') {
+            e.preventDefault();
+            const i = FORMATION_LIST.indexOf(this.unitManager.formation);
+            const formation = FORMATION_LIST[(i + 1) % FORMATION_LIST.length];
+            console.log(`[InputSystem] Formation: ${formation}`);
+            this.commandBus.emit(CMD.SET_FORMATION, { formation });
+        } else if (key === '[' || key === ']') {
+            e.preventDefault();
+            const step = key === ']' ? this._orbitRadiusStep : -this._orbitRadiusStep;
+            this.orbitRadius = Math.max(this._orbitRadiusStep, this.orbitRadius + step);
+            console.log(`[InputSystem] Orbit radius: ${this.orbitRadius}`);
         }
     }
 
     onKeyUp(e) { }
 
+    // Map editor keys: 1..5 place an obstacle (sphere, box, capsule, torus, asteroid field) and
+    // P a spawn point at the 3D cursor; [ ] resize, C recolor, Delete removes the selected item;
+    // G swaps in a generated map; Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) undo / redo, Ctrl+S exports the map
+    _onEditorKey(key, e) {
+        const editor = this.mapEditor;
+        const item = editor.selected;
+        const digit = /^Digit([1-5])$/.exec(e.code);
+        try {
+            if (e.ctrlKey || e.metaKey) {
+                if (key === 'z' || key === 'y') {
+                    e.preventDefault();
+                    const done = key === 'y' || e.shiftKey ? editor.redo() : editor.undo();
+                    console.log(`[InputSystem] Editor ${key === 'y' || e.shiftKey ? 'redo' : 'undo'}${done ? '' : ': nothing to do'}`);
+                } else if (key === 's') {
+                    e.preventDefault();
+                    this.commandBus.emit(CMD.EXPORT_MAP);
+                }
+                return;
+            }
+            if (key === 'escape') {
+                editor.selected = null;
+            } else if (digit && !e.repeat) {
+                e.preventDefault();
+                const type = EDITOR_OBSTACLE_TYPES[Number(digit[1]) - 1];
+                editor.placeObstacle(type, this._cursorPoint());
+                console.log(`[InputSystem] Editor: placed ${editor.describe(editor.selected)}`);
+            } else if (key === 'p' && !e.repeat) {
+                e.preventDefault();
+                editor.placeSpawn(this._cursorPoint());
+                console.log(`[InputSystem] Editor: placed ${editor.describe(editor.selected)}`);
+            } else if (key === 'g' && !e.repeat) {
+                e.preventDefault();
+                this.commandBus.emit(CMD.GENERATE_MAP);
+            } else if (!item) {
+                return;
+            } else if (key === '[' || key === ']') {
+                e.preventDefault();
+                editor.resize(item, key === ']' ? this._editorScale : 1 / this._editorScale);
+            } else if (key === 'c' && !e.repeat) {
+                e.preventDefault();
+                editor.recolor(item);
+            } else if ((key === 'delete' || key === 'backspace') && !e.repeat) {
+                e.preventDefault();
+                console.log(`[InputSystem] Editor: removed ${editor.describe(item)}`);
+                editor.remove(item);
+            }
+        } catch (err) {
+            this._reportError('Map editor', err);
+        }
+    }
+
+    // LMB in the map editor: select the item under the mouse and start dragging it (it keeps its
+    // offset to the 3D cursor, so the wheel raises and lowers it); empty space clears the selection
+    _editorPointerDown(ndc) {
+        const editor = this.mapEditor;
+        const item = this.pickEditorItem(ndc.x, ndc.y);
+        editor.selected = item;
+        if (!item) return;
+        const from = editor.positionOf(item);
+        this._editorDrag = { item, from, grab: from.clone().sub(this._cursorPoint()), to: from.clone(), moved: false };
+        this.controls.enabled = false;
+        console.log(`[InputSystem] Editor: selected ${editor.describe(item)}`);
+    }
+
+    _editorPointerUp() {
+        const drag = this._editorDrag;
+        this._editorDrag = null;
+        this.controls.enabled = true;
+        if (!drag?.moved) return;
+        try {
+            this.mapEditor.move(drag.item, drag.to);
+            const p = this.mapEditor.positionOf(drag.item);
+            console.log(`[InputSystem] Editor: moved ${this.mapEditor.describe(drag.item)} to ${p.x}, ${p.y}, ${p.z}`);
+        } catch (err) {
+            this._reportError('Map editor', err);
+        }
+    }
+
+    // Map edits the schema rejects (MapError lists why) go to onError, or the console without one
+    _reportError(title, err) {
+        if (this.onError) this.onError(title, err);
+        else console.warn(`[InputSystem] ${title}: ${err.message}`);
+    }
+
+    // Map editor item under the given NDC: spawn markers first, then obstacles
+    pickEditorItem(ndcX, ndcY) {
+        const editor = this.mapEditor;
+        this._raycaster.setFromCamera(this._pickNdc.set(ndcX, ndcY), this.camera);
+        const ray = this._raycaster.ray;
+        const sphere = new THREE.Sphere();
+        const p = new THREE.Vector3();
+        let best = null;
+        let bestD = Infinity;
+        editor.map.spawns.forEach((s, index) => {
+            sphere.set(p.set(s.x, s.y, s.z), SPAWN_RADIUS);
+            if (!ray.intersectSphere(sphere, p)) return;
+            const d = p.distanceTo(ray.origin);
+            if (d < bestD) { bestD = d; best = { kind: 'spawn', index }; }
+        });
+        if (best) return best;
+        const ob = this.pickObstacle(ndcX, ndcY);
+        return ob ? editor.itemOf(ob) : null;
+    }
+
+    // The 3D cursor as a point (ground XZ at the wheel-set height)
+    _cursorPoint() {
+        return new THREE.Vector3(this.cursor.x, this.cursorHeight, this.cursor.z);
+    }
+
+    _onGroupKey(n, e) {
+        const selected = this.unitManager.getSelected();
+        if (e.ctrlKey || e.metaKey) {
+            this.controlGroups.assign(n, selected);
+            console.log(`[InputSystem] Group ${n} = ${selected.length} units`);
+            return;
+        }
+        if (e.shiftKey) {
+            this.controlGroups.add(n, selected);
+            console.log(`[InputSystem] Group ${n} += ${selected.length} units`);
+            return;
+        }
+        const members = this.controlGroups.get(n);
+        if (members.length === 0) return;
+        const set = new Set(members);
+        for (const u of this.unitManager.units) u.setSelected(set.has(u));
+
+        const now = performance.now();
+        if (this._lastGroupTap.n === n && now - this._lastGroupTap.time < this._doubleTapMs) {
+            this.centerCameraOn(members);
+        }
+        this._lastGroupTap = { n, time: now };
+    }
+
+    // Pan camera (keeping its offset to the orbit target) so the target sits at the units' centroid
+    centerCameraOn(units) {
+        if (!units.length || !this.controls.target) return;
+        const c = new THREE.Vector3();
+        for (const u of units) c.add(u.position);
+        c.divideScalar(units.length);
+        const delta = c.sub(this.controls.target);
+        this.camera.position.add(delta);
+        this.controls.target.add(delta);
+        this.controls.update();
+        console.log('[InputSystem] Camera centered on group');
+    }
+
     onMouseDown(e) {
         this._mouseX = e.clientX;
         this._mouseY = e.clientY;
         e.preventDefault();
         this.canvas.focus();
         if (e.button === 0) {
-            if (this._blockSelectionUntilPointerUp || e.ctrlKey) {
+            if (this._blockSelectionUntilPointerUp) {
                 return;
             }
             if ((e.buttons & 1) !== 1) return;
+            if (this.mapEditor?.active) {
+                this._editorPointerDown(this._eventNdc(e));
+                return;
+            }
+            // A + LClick places the pending attack order instead of starting a selection
+            if (this._pendingOrder) {
+                this._issueOrderAtCursor(this._eventNdc(e), e.shiftKey);
+                return;
+            }
             this.isSelecting = true;
+            this._selectMode = e.shiftKey ? 'add' : (e.ctrlKey || e.altKey) ? 'remove' : 'replace';
+            this._selectStartNdc = this._eventNdc(e);
+            this._selectDragged = false;
             this.selectCenter.set(this.cursor.x, this.cursorHeight, this.cursor.z);
             this.selectRadius = 0;
             this.controls.enabled = false;
@@ -545,6 +905,13 @@ export class InputSystem {
         }
 
         if (this.isSelecting) {
+            if (!this._selectDragged) {
+                const rect = this.canvas.getBoundingClientRect();
+                const ndc = this._eventNdc(e);
+                const px = (ndc.x - this._selectStartNdc.x) * rect.width / 2;
+                const py = (ndc.y - this._selectStartNdc.y) * rect.height / 2;
+                if (px * px + py * py >= this._dragThreshold * this._dragThreshold) this._selectDragged = true;
+            }
             const cur = new THREE.Vector3(this.cursor.x, this.cursorHeight, this.cursor.z);
             this.selectRadius = cur.distanceTo(this.selectCenter);
             this.gizmos.showSelectionSphere(this.selectCenter, Math.max(0, this.selectRadius));
@@ -552,23 +919,24 @@ export class InputSystem {
     }
 
     onMouseUp(e) {
+        if (this._editorDrag && e.button === 0) this._editorPointerUp();
         if (this.isSelecting && e.button === 0) {
             this.isSelecting = false;
             this.controls.enabled = true;
             this.gizmos.hideSelectionSphere();
-            console.log(`[InputSystem] Selection End. Radius=${this.selectRadius.toFixed(1)}`);
-            for (const u of this.unitManager.units) {
-                const d = u.position.distanceTo(this.selectCenter);
-                const sel = d <= this.selectRadius;
-                u.setSelected(sel);
+            if (this._selectDragged) {
+                console.log(`[InputSystem] Selection End (${this._selectMode}). Radius=${this.selectRadius.toFixed(1)}`);
+                const inside = this.unitManager.queryUnits(this.selectCenter, this.selectRadius);
+                this._applySelection(inside, this._selectMode);
+            } else {
+                this._clickSelect(this._eventNdc(e), this._selectMode);
             }
         }
 
         if (e.button === 2 && this._rmbDown) {
             if (!this._rmbDragged && !e.ctrlKey && !this._suppressRmbClick) {
-                const target = new THREE.Vector3(this.cursor.x, this.cursorHeight, this.cursor.z);
-                console.log(`[InputSystem] Unlocked Click -> Move to: ${target.x.toFixed(1)}, ${target.z.toFixed(1)}`);
-                this.commandBus.emit(CMD.MOVE_SELECTED_TO, { target });
+                console.log('[InputSystem] Unlocked Click -> Order');
+                this._issueOrderAtCursor(this._eventNdc(e), e.shiftKey);
             }
             this._rmbDown = false;
             this._rmbDragged = false;
@@ -577,6 +945,140 @@ export class InputSystem {
         }
     }
 
+    // Right-click (or A + click): attack an enemy under the mouse, else (attack-)move to the cursor.
+    // With Shift held (queue) the order is appended as a waypoint; a plain click replaces the queue.
+    _issueOrderAtCursor(ndc, queue = false) {
+        if (this.mapEditor?.active) return; // no fleets while editing
+        const pending = this._pendingOrder;
+        this._pendingOrder = null;
+        const target = new THREE.Vector3(this.cursor.x, this.cursorHeight, this.cursor.z);
+        if (pending === 'patrol') {
+            console.log(`[InputSystem] Patrol to: ${target.x.toFixed(1)}, ${target.y.toFixed(1)}, ${target.z.toFixed(1)}`);
+            this.commandBus.emit(CMD.PATROL_SELECTED, { target, queue });
+            return;
+        }
+        if (pending === 'orbit') {
+            this._issueOrbit(ndc, target, queue);
+            return;
+        }
+        const picked = this.pickUnit(ndc.x, ndc.y);
+        if (STATION_COMMANDS[pending]) {
+            if (!picked) {
+                console.log(`[InputSystem] ${pending}: no unit under cursor`);
+                return;
+            }
+            console.log(`[InputSystem] ${pending} unit #${picked.id}${queue ? ' (queued)' : ''}`);
+            this.commandBus.emit(STATION_COMMANDS[pending], { unit: picked, queue });
+            return;
+        }
+        if (picked && picked.faction !== this.playerFaction) {
+            console.log(`[InputSystem] Attack unit #${picked.id}${queue ? ' (queued)' : ''}`);
+            this.commandBus.emit(CMD.ATTACK_UNIT_SELECTED, { unit: picked, queue });
+            return;
+        }
+        const type = pending === 'attack' ? CMD.ATTACK_MOVE_SELECTED_TO : CMD.MOVE_SELECTED_TO;
+        console.log(`[InputSystem] ${type}: ${target.x.toFixed(1)}, ${target.y.toFixed(1)}, ${target.z.toFixed(1)}${queue ? ' (queued)' : ''}`);
+        this.commandBus.emit(type, { target, queue });
+    }
+
+    // Orbit the obstacle under the mouse (radius measured from its surface), else the cursor point.
+    // Orbit height follows the cursor elevation.
+    _issueOrbit(ndc, cursorPoint, queue) {
+        const obstacle = this.pickObstacle(ndc.x, ndc.y);
+        const center = obstacle ? obstacle.position : cursorPoint;
+        const radius = obstacle ? obstacle.boundingRadius + this.orbitRadius : this.orbitRadius;
+        const height = this.cursorHeight - center.y;
+        console.log(`[InputSystem] Orbit ${obstacle ? `obstacle #${obstacle.id}` : 'point'}: r=${radius.toFixed(1)}, h=${height.toFixed(1)}`);
+        this.commandBus.emit(CMD.ORBIT_SELECTED, { center, obstacle, radius, height, queue });
+    }
+
+    // Nearest obstacle under the given NDC (tested against its actual shape), or null
+    pickObstacle(ndcX, ndcY) {
+        const obstacles = this.unitManager.obstacles;
+        if (!obstacles) return null;
+        this._raycaster.setFromCamera(this._pickNdc.set(ndcX, ndcY), this.camera);
+        const ray = this._raycaster.ray;
+        let best = null;
+        let bestD = Infinity;
+        for (const ob of obstacles.getAll()) {
+            for (const c of obstacles.collidersOf(ob)) {
+                const d = rayHit(c, ray.origin, ray.direction, bestD);
+                if (d !== null && d < bestD) { bestD = d; best = ob; }
+            }
+        }
+        return best;
+    }
+
+    // Pointer NDC for an event; in pointer lock the virtual cursor is tracked in _ndcX/_ndcY
+    _eventNdc(e) {
+        if (this.pointerLocked) return { x: this._ndcX, y: this._ndcY };
+        return ndcFromMouseEvent(e, this.canvas);
+    }
+
+    // Raycast unit meshes under the given NDC; returns the nearest Unit or null
+    pickUnit(ndcX, ndcY) {
+        const units = this.unitManager.units;
+        this._raycaster.setFromCamera(this._pickNdc.set(ndcX, ndcY), this.camera);
+        const hit = this.unitRenderer?.pick(this._raycaster);
+        if (hit && this._canSee(hit)) return hit;
+        // Fallback for tiny or distant hulls: nearest gameplay sphere the ray passes through
+        const ray = this._raycaster.ray;
+        const sphere = new THREE.Sphere();
+        const p = new THREE.Vector3();
+        let best = null;
+        let bestD = Infinity;
+        for (const u of units) {
+            if (!this._canSee(u)) continue;
+            sphere.set(u.position, u.radius * 1.5);
+            if (!ray.intersectSphere(sphere, p)) continue;
+            const d = p.distanceTo(ray.origin);
+            if (d < bestD) { bestD = d; best = u; }
+        }
+        return best;
+    }
+
+    _canSee(u) {
+        return !this.fog || this.fog.canSee(u);
+    }
+
+    // Click without drag: pick one unit; a double click on the same unit takes every visible
+    // own unit of its ship type. Shift toggles the picked unit, Ctrl/Alt removes it.
+    _clickSelect(ndc, mode) {
+        const picked = this.pickUnit(ndc.x, ndc.y);
+        const own = picked && picked.faction === this.playerFaction ? picked : null;
+        const now = performance.now();
+        const isDouble = own && this._lastClick.unit === own && now - this._lastClick.time < this._doubleTapMs;
+        this._lastClick = { unit: own, time: now };
+
+        if (isDouble && own.type) {
+            const sameType = this._visibleUnits().filter(u => u.type === own.type);
+            console.log(`[InputSystem] Select all visible ${own.type}: ${sameType.length}`);
+            this._applySelection(sameType, mode === 'remove' ? 'remove' : mode === 'add' ? 'add' : 'replace');
+            return;
+        }
+        if (mode === 'add' && own?.selected) mode = 'remove';
+        console.log(`[InputSystem] Click select (${mode}): ${own ? `#${own.id}` : 'none'}`);
+        this._applySelection(own ? [own] : [], mode);
+    }
+
+    // Apply a selection change; only the player's own units can become selected
+    _applySelection(units, mode) {
+        const set = new Set(units.filter(u => u.faction === this.playerFaction));
+        for (const u of this.unitManager.units) {
+            if (mode === 'add') { if (set.has(u)) u.setSelected(true); }
+            else if (mode === 'remove') { if (set.has(u)) u.setSelected(false); }
+            else u.setSelected(set.has(u));
+        }
+    }
+
+    // Units inside the camera frustum
+    _visibleUnits() {
+        this.camera.updateMatrixWorld();
+        const m = new THREE.Matrix4().multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(m);
+        return this.unitManager.units.filter(u => frustum.containsPoint(u.position));
+    }
+
     _groundFromMouseEvent(e) {
         const { x, y } = ndcFromMouseEvent(e, this.canvas);
         const { origin, dir } = rayFromMouse(x, y, this.camera);
@@ -0,0 +1,245 @@
+// Map editing for the in-game editor mode (InputSystem drives it, main.js opens and closes it).
+// The editor owns a map document in the file format of map_schema.js; every edit changes the
+// document, is validated like a loaded file and is then applied by rebuilding the ObstacleManager
+// from it, so what is on screen is exactly what the exported file will load as. Undo and redo
+// swap whole document snapshots (maps are small), which also makes multi-obstacle edits such as
+// moving a planet with its moons a single step.
+// Items are addressed as { kind: 'obstacle' | 'spawn', index } into the document's lists.
+
+import * as THREE from 'three';
+import { MAP_VERSION, MapError, parseMap, validateMap } from './map_schema.js';
+import { applyMapToWorld } from './map_loader.js';
+import { FACTIONS } from '../units/factions.js';
+
+// New obstacles by type, before position and color
+const OBSTACLE_DEFAULTS = {
+  sphere: { radius: 10 },
+  box: { size: { x: 20, y: 20, z: 20 } },
+  capsule: { length: 40, radius: 6 },
+  torus: { radius: 30, tube: 4 },
+  asteroidField: { size: { x: 60, y: 20, z: 60 }, count: 60, minRadius: 1, maxRadius: 3 },
+};
+export const EDITOR_OBSTACLE_TYPES = Object.keys(OBSTACLE_DEFAULTS);
+
+// Colors `recolor` cycles through (muted planet tones like the example map's)
+export const EDITOR_PALETTE = [0x444a66, 0x32405a, 0x5a6479, 0x8a8a8a, 0x2f4cdf, 0x489248, 0x68833a, 0x492208];
+
+export const SPAWN_RADIUS = 6; // size of a spawn point for picking and highlighting
+const MAX_UNDO = 100;
+
+export class MapEditor {
+  // snap: positions are rounded to multiples of this (0 = off)
+  constructor(obstacles, { snap = 1 } = {}) {
+    this.obstacles = obstacles; // ObstacleManager the document is applied to
+    this.snap = snap;
+    this.active = false;
+    this.map = null;
+    this.selected = null; // item
+    this.revision = 0; // bumped on every change of the document (renderers of spawn markers key on it)
+    this._undo = [];
+    this._redo = [];
+  }
+
+  // Start editing a copy of `map` (validated; null for an empty map) and apply it to the world
+  open(map) {
+    this.map = map ? parseMap(structuredClone(map)) : { version: MAP_VERSION, spawns: [], obstacles: [] };
+    this.active = true;
+    this.selected = null;
+    this._undo = [];
+    this._redo = [];
+    this._apply();
+    return this.map;
+  }
+
+  // Stop editing; returns the edited map
+  close() {
+    this.active = false;
+    this.selected = null;
+    return this.toJSON();
+  }
+
+  // The document as a map file (a validated copy that MapLoader accepts)
+  toJSON() {
+    return parseMap(structuredClone(this.map));
+  }
+
+  get canUndo() { return this._undo.length > 0; }
+  get canRedo() { return this._redo.length > 0; }
+
+  undo() {
+    if (!this.canUndo) return false;
+    this._redo.push(this.map);
+    this.map = this._undo.pop();
+    this._apply();
+    return true;
+  }
+
+  redo() {
+    if (!this.canRedo) return false;
+    this._undo.push(this.map);
+    this.map = this._redo.pop();
+    this._apply();
+    return true;
+  }
+
+  // Swap the whole document for another map (validated), e.g. a generated one; one undo step
+  replace(map) {
+    this.selected = null;
+    this._commit(parseMap(structuredClone(map)));
+  }
+
+  // New obstacle of `type` (see EDITOR_OBSTACLE_TYPES) at `position`; returns its item (also selected)
+  placeObstacle(type, position) {
+    const defaults = OBSTACLE_DEFAULTS[type];
+    if (!defaults) throw new Error(`Unknown obstacle type: ${type}`);
+    return this._edit((map) => {
+      const entry = { type, position: this._snapped(position), ...structuredClone(defaults), color: EDITOR_PALETTE[0] };
+      if (type === 'asteroidField') entry.seed = map.obstacles.length + 1;
+      map.obstacles.push(entry);
+      return (this.selected = { kind: 'obstacle', index: map.obstacles.length - 1 });
+    });
+  }
+
+  // New spawn point for the lowest faction without one; returns its item (also selected)
+  placeSpawn(position) {
+    return this._edit((map) => {
+      const used = new Set(map.spawns.map(s => s.faction));
+      let faction = 0;
+      while (used.has(faction)) faction++;
+      map.spawns.push({ ...this._snapped(position), faction });
+      return (this.selected = { kind: 'spawn', index: map.spawns.length - 1 });
+    });
+  }
+
+  // Move an item to `position`; obstacles orbiting a moved obstacle keep their offset to it
+  move(item, position) {
+    this._edit((map) => {
+      const to = this._snapped(position);
+      if (item.kind === 'spawn') {
+        Object.assign(map.spawns[item.index], to);
+        return;
+      }
+      const from = map.obstacles[item.index].position;
+      const delta = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+      for (const i of orbitFamily(map.obstacles, item.index)) {
+        const p = map.obstacles[i].position;
+        map.obstacles[i].position = { x: p.x + delta.x, y: p.y + delta.y, z: p.z + delta.z };
+      }
+    });
+  }
+
+  // Scale an obstacle's dimensions by `factor` (spawn points have no size)
+  resize(item, factor) {
+    if (item.kind !== 'obstacle') return;
+    this._edit((map) => {
+      const ob = map.obstacles[item.index];
+      const scale = (v) => Math.max(0.1, Math.round(v * factor * 10) / 10);
+      for (const key of ['radius', 'length', 'tube']) {
+        if (ob[key] !== undefined) ob[key] = scale(ob[key]);
+      }
+      if (ob.size) ob.size = { x: scale(ob.size.x), y: scale(ob.size.y), z: scale(ob.size.z) };
+    });
+  }
+
+  // Next palette color for an obstacle, next faction for a spawn point
+  recolor(item) {
+    this._edit((map) => {
+      if (item.kind === 'spawn') {
+        const s = map.spawns[item.index];
+        s.faction = (s.faction + 1) % FACTIONS.length;
+        return;
+      }
+      const ob = map.obstacles[item.index];
+      ob.color = EDITOR_PALETTE[(EDITOR_PALETTE.indexOf(ob.color) + 1) % EDITOR_PALETTE.length];
+    });
+  }
+
+  // Delete an item; an obstacle that others orbit cannot be removed (MapError)
+  remove(item) {
+    this._edit((map) => {
+      (item.kind === 'spawn' ? map.spawns : map.obstacles).splice(item.index, 1);
+      this.selected = null;
+    });
+  }
+
+  // Item of an obstacle record in the world, or null if it does not belong to the document
+  itemOf(ob) {
+    const index = this.obstacles.getAll().indexOf(ob);
+    return index < 0 ? null : { kind: 'obstacle', index };
+  }
+
+  // Entry of an item in the document
+  entryOf(item) {
+    return (item.kind === 'spawn' ? this.map.spawns : this.map.obstacles)[item.index] ?? null;
+  }
+
+  positionOf(item, out = new THREE.Vector3()) {
+    const entry = this.entryOf(item);
+    const p = item.kind === 'spawn' ? entry : entry.position;
+    return out.set(p.x, p.y, p.z);
+  }
+
+  // Radius of the sphere that encloses an item
+  radiusOf(item) {
+    if (item.kind === 'spawn') return SPAWN_RADIUS;
+    return this.obstacles.getAll()[item.index]?.boundingRadius ?? SPAWN_RADIUS;
+  }
+
+  // Short label for the HUD
+  describe(item) {
+    const entry = this.entryOf(item);
+    if (!entry) return '-';
+    if (item.kind === 'spawn') return `spawn #${item.index} (${FACTIONS[entry.faction]?.name ?? `faction ${entry.faction}`})`;
+    return `${entry.type} #${item.index}${entry.name ? ` "${entry.name}"` : ''}`;
+  }
+
+  // Run `fn(map)` on a copy of the document; the copy replaces it (one undo step) if it is still a
+  // valid map, otherwise nothing changes and a MapError lists what the edit broke
+  _edit(fn) {
+    const next = structuredClone(this.map);
+    const selected = this.selected;
+    const result = fn(next);
+    const errors = validateMap(next);
+    if (errors.length) {
+      this.selected = selected;
+      throw new MapError('Edit rejected', errors);
+    }
+    this._commit(next);
+    return result;
+  }
+
+  _commit(next) {
+    this._undo.push(this.map);
+    if (this._undo.length > MAX_UNDO) this._undo.shift();
+    this._redo = [];
+    this.map = next;
+    this._apply();
+  }
+
+  // Rebuild the world's obstacles from the document (they are cleared, so nothing moves yet)
+  _apply() {
+    this.obstacles.clear();
+    applyMapToWorld(this.map, { obstacles: this.obstacles });
+    if (this.selected && !this.entryOf(this.selected)) this.selected = null;
+    this.revision++;
+  }
+
+  _snapped({ x, y, z }) {
+    const s = this.snap;
+    const round = (v) => (s > 0 ? Math.round(v / s) * s : v);
+    return { x: round(x), y: round(y), z: round(z) };
+  }
+}
+
+// Index `root` and every obstacle orbiting it, directly or through other orbiters
+function orbitFamily(obstacles, root) {
+  const family = [root];
+  for (let i = 0; i < family.length; i++) {
+    const name = obstacles[family[i]].name;
+    if (!name) continue;
+    obstacles.forEach((ob, j) => {
+      if (ob.motion?.orbit?.parent === name && !family.includes(j)) family.push(j);
+    });
+  }
+  return family;
+}
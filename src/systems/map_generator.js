@@ -0,0 +1,204 @@
+// Seeded procedural star-system maps. generateMap() returns a validated map document (see
+// map_schema.js) that applyMapToWorld, MapLoader files and the map editor all take as is; the same
+// options always give the same map. Used by main.js (?generate=<seed>, G in the map editor) and
+// tools/generate_map.js.
+//
+// Fairness comes from symmetry: one wedge of the map (360° / players around the Y axis, with that
+// player's spawn in the middle) is generated and then copied round for every other player, so each
+// spawn sees the same systems at the same distances. A system is a star with planets orbiting it
+// and moons orbiting those; asteroid fields drift free between the systems. Everything keeps out of
+// a clear zone around each spawn (orbits included), and systems are placed so that no two orbits
+// can touch. Crowded maps get fewer systems and fields than asked for rather than overlaps.
+
+import * as THREE from 'three';
+import { createRng } from './rng.js';
+import { MAP_VERSION, MAX_FIELD_ROCKS, parseMap } from './map_schema.js';
+import { FACTIONS } from '../units/factions.js';
+
+export const GENERATOR_DEFAULTS = Object.freeze({
+  seed: 1,
+  players: 2, // spawn points, one per faction
+  systems: 6, // star systems in total (rounded to a multiple of players)
+  halfSize: 750, // the map spans -halfSize..halfSize on X and Z
+  planets: 2, // average planets per system
+  moons: 0.7, // average moons per planet
+  asteroids: 1, // average asteroid fields per system
+});
+
+export const SPAWN_CLEARANCE = 80; // radius around a spawn without obstacles (a demo fleet spans ~40)
+const FEATURE_GAP = 20; // minimum space between the reach of two systems or fields
+const PLACEMENT_ATTEMPTS = 100;
+const STAR_COLORS = [0xffcc55, 0xffaa44, 0xfff1c0, 0xff8844];
+const PLANET_COLORS = [0x32405a, 0x2f4cdf, 0x489248, 0x68833a, 0x492208, 0x5a6479, 0x4be35f, 0x8a8a8a];
+const MOON_COLORS = [0x8a8a8a, 0x5a6479, 0x444a66];
+const PLANET_LETTERS = 'bcdefghijk';
+const MOON_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI'];
+const UP = new THREE.Vector3(0, 1, 0);
+
+// A new map from `options` (GENERATOR_DEFAULTS for anything left out); throws on unusable options
+export function generateMap(options = {}) {
+  const opts = { ...GENERATOR_DEFAULTS, ...options };
+  checkOptions(opts);
+  const rng = createRng(opts.seed);
+  const { players, halfSize } = opts;
+  const wedge = (Math.PI * 2) / players;
+  // Player 0's wedge is centred on +X; its spawn sits well out towards the edge
+  const spawn = new THREE.Vector3(halfSize * 0.8, 0, 0);
+  const placed = []; // { center, radius } of everything in player 0's wedge
+  const entries = []; // obstacle entries in player 0's wedge
+
+  const place = (radius) => {
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+      const angle = players > 1 ? rng.range(-wedge / 2, wedge / 2) : rng.range(0, Math.PI * 2);
+      const center = new THREE.Vector3(rng.range(0, halfSize - radius), rng.range(-0.04, 0.04) * halfSize, 0)
+        .applyAxisAngle(UP, angle);
+      if (fits(center, radius, spawn, placed, players, halfSize)) {
+        placed.push({ center, radius });
+        return center;
+      }
+    }
+    return null;
+  };
+
+  const systemCount = Math.max(1, Math.round(opts.systems / players));
+  for (let s = 0; s < systemCount; s++) {
+    const system = buildSystem(rng, opts, `Star ${s + 1}`);
+    const center = place(system.radius);
+    if (!center) continue;
+    for (const entry of system.entries) entries.push(offsetEntry(entry, center));
+    const fields = sampleCount(rng, opts.asteroids);
+    for (let f = 0; f < fields; f++) {
+      const field = buildField(rng);
+      const at = place(field.radius);
+      if (at) entries.push(offsetEntry(field.entry, at));
+    }
+  }
+
+  const obstacles = [];
+  const spawns = [];
+  for (let k = 0; k < players; k++) {
+    const angle = k * wedge;
+    const p = spawn.clone().applyAxisAngle(UP, angle);
+    spawns.push({ x: round(p.x), y: round(p.y), z: round(p.z), faction: k });
+    for (const entry of entries) obstacles.push(rotateEntry(entry, angle, `P${k + 1} `));
+  }
+  return parseMap({
+    version: MAP_VERSION,
+    name: opts.name ?? `Generated #${opts.seed} (${players} players)`,
+    size: { halfSize, gridStep: 10 },
+    spawns,
+    obstacles,
+  }, 'Generated map');
+}
+
+function checkOptions(opts) {
+  const { seed, players, systems, halfSize, planets, moons, asteroids } = opts;
+  if (!Number.isInteger(seed)) throw new Error(`seed must be an integer (got ${seed})`);
+  if (!Number.isInteger(players) || players < 1 || players > FACTIONS.length) {
+    throw new Error(`players must be an integer from 1 to ${FACTIONS.length} (got ${players})`);
+  }
+  if (!(halfSize >= 2 * SPAWN_CLEARANCE)) throw new Error(`halfSize must be at least ${2 * SPAWN_CLEARANCE} (got ${halfSize})`);
+  for (const [name, v] of Object.entries({ systems, planets, moons, asteroids })) {
+    if (!(v >= 0)) throw new Error(`${name} must be a number >= 0 (got ${v})`);
+  }
+}
+
+// True if a feature of `radius` at `center` keeps clear of the map edge, of every spawn and of
+// every copy of the features placed so far (its own copies in the other wedges included)
+function fits(center, radius, spawn, placed, players, halfSize) {
+  if (Math.hypot(center.x, center.z) + radius > halfSize * 0.95) return false;
+  const wedge = (Math.PI * 2) / players;
+  const copy = new THREE.Vector3();
+  for (let k = 0; k < players; k++) {
+    copy.copy(center).applyAxisAngle(UP, -k * wedge);
+    if (copy.distanceTo(spawn) < SPAWN_CLEARANCE + radius) return false;
+    if (k > 0 && copy.distanceTo(center) < 2 * radius + FEATURE_GAP) return false;
+    if (placed.some(f => copy.distanceTo(f.center) < f.radius + radius + FEATURE_GAP)) return false;
+  }
+  return true;
+}
+
+// A star with orbiting planets and moons, positioned around the origin; `radius` is the reach of
+// its outermost orbit
+function buildSystem(rng, opts, name) {
+  const starRadius = rng.range(12, 24);
+  const entries = [{ type: 'sphere', name, position: { x: 0, y: 0, z: 0 }, radius: round(starRadius), color: rng.pick(STAR_COLORS) }];
+  const direction = rng.next() < 0.5 ? 1 : -1; // all planets of a star orbit the same way
+  let orbit = starRadius + rng.range(10, 18);
+  let reach = starRadius;
+  const planets = Math.min(PLANET_LETTERS.length, sampleCount(rng, opts.planets));
+  for (let p = 0; p < planets; p++) {
+    const planetRadius = rng.range(4, 10);
+    const moons = Math.min(MOON_NUMERALS.length, sampleCount(rng, opts.moons));
+    // Moon orbits first: they decide how much room the planet's own orbit needs
+    const moonOrbits = [];
+    let moonReach = planetRadius;
+    for (let m = 0; m < moons; m++) {
+      const moonRadius = rng.range(1, 3);
+      const r = moonReach + moonRadius + rng.range(3, 6);
+      moonOrbits.push({ r, moonRadius });
+      moonReach = r + moonRadius;
+    }
+    orbit += moonReach;
+    const planetName = `${name} ${PLANET_LETTERS[p]}`;
+    const planet = new THREE.Vector3(orbit, 0, 0).applyAxisAngle(UP, rng.range(0, Math.PI * 2));
+    // Kepler-like: outer planets take longer
+    const period = direction * round(40 * (orbit / 60) ** 1.5);
+    entries.push({
+      type: 'sphere', name: planetName, position: vec(planet), radius: round(planetRadius),
+      color: rng.pick(PLANET_COLORS), motion: { orbit: { parent: name, period } },
+    });
+    moonOrbits.forEach(({ r, moonRadius }, m) => {
+      const moon = new THREE.Vector3(r, 0, 0).applyAxisAngle(UP, rng.range(0, Math.PI * 2)).add(planet);
+      entries.push({
+        type: 'sphere', name: `${planetName} ${MOON_NUMERALS[m]}`, position: vec(moon), radius: round(moonRadius),
+        color: rng.pick(MOON_COLORS), motion: { orbit: { parent: planetName, period: round(rng.range(8, 20) * (m + 1)) } },
+      });
+    });
+    reach = orbit + moonReach;
+    orbit += moonReach + rng.range(6, 14);
+  }
+  return { entries, radius: reach };
+}
+
+// A free asteroid field around the origin, turned about Y only (so its copies in the other wedges
+// stay exact)
+function buildField(rng) {
+  const size = { x: round(rng.range(40, 120)), y: round(rng.range(12, 30)), z: round(rng.range(40, 120)) };
+  const count = Math.min(MAX_FIELD_ROCKS, Math.round((size.x * size.z) / 60));
+  const entry = {
+    type: 'asteroidField', position: { x: 0, y: 0, z: 0 }, size, count,
+    minRadius: 0.8, maxRadius: round(rng.range(2.5, 4.5)), seed: rng.int(1, 1e6),
+    rotation: { x: 0, y: round(rng.range(0, 360)), z: 0 }, color: 0x5a5048,
+  };
+  return { entry, radius: Math.hypot(size.x, size.y, size.z) / 2 };
+}
+
+// Rounded average: floor(avg + u) is avg on average and never far from it
+function sampleCount(rng, average) {
+  return Math.floor(average + rng.next());
+}
+
+function offsetEntry(entry, center) {
+  const p = entry.position;
+  return { ...entry, position: { x: round(p.x + center.x), y: round(p.y + center.y), z: round(p.z + center.z) } };
+}
+
+// Copy of an entry turned `angle` radians about the Y axis; names (and orbit parents) get `prefix`
+function rotateEntry(entry, angle, prefix) {
+  const out = structuredClone(entry);
+  out.position = vec(new THREE.Vector3(entry.position.x, entry.position.y, entry.position.z).applyAxisAngle(UP, angle));
+  if (out.rotation) out.rotation.y = round((((out.rotation.y + THREE.MathUtils.radToDeg(angle)) % 360) + 360) % 360);
+  if (out.name) out.name = prefix + out.name;
+  if (out.motion?.orbit) out.motion.orbit.parent = prefix + out.motion.orbit.parent;
+  return out;
+}
+
+function vec(v) {
+  return { x: round(v.x), y: round(v.y), z: round(v.z) };
+}
+
+// Map coordinates to 0.1 (files stay readable; copies still match to within that)
+function round(v) {
+  return Math.round(v * 10) / 10 || 0;
+}
@@ -1,39 +1,97 @@
-// Simple JSON map loader and applier
-// Map format example:
-// {
-//   "name": "Demo Star Systems",
-//   "size": { "halfSize": 150 },
-//   "spawns": [ {"x": -60, "y": 5, "z": -60}, {"x": 60, "y": 5, "z": 60} ],
-//   "obstacles": [
-//     { "type": "sphere", "position": {"x": 10, "y": 0, "z": -5}, "radius": 4, "color": 3822952, "opacity": 0.95 }
-//   ]
-// }
-
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+// JSON map loader and applier. The file format, its versions and validation live in map_schema.js.
+
+import * as THREE from 'three';
+import { MapError, parseMap } from './map_schema.js';
 
 export class MapLoader {
+  // Fetch, migrate and validate a map; throws MapError for files that cannot be used
   async load(url) {
     const res = await fetch(url, { cache: 'no-cache' });
-    if (!res.ok) throw new Error(`Failed to load map ${url}: ${res.status}`);
-    const json = await res.json();
-    return json;
+    if (!res.ok) throw new MapError(`Failed to load map ${url}: ${res.status}`);
+    let json;
+    try {
+      json = JSON.parse(await res.text());
+    } catch (err) {
+      throw new MapError(`${url} is not valid JSON: ${err.message}`);
+    }
+    return parseMap(json, url);
   }
 }
 
+// Maps that did not come through MapLoader (replays, saves, tests) are migrated and validated here
 export function applyMapToWorld(map, { obstacles }) {
   if (!map) return { spawns: [] };
-  // Obstacles
-  if (Array.isArray(map.obstacles)) {
-    for (const ob of map.obstacles) {
-      if (ob.type === 'sphere') {
-        const p = ob.position || { x: 0, y: 0, z: 0 };
-        const color = ob.color ?? 0x444a66;
-        const opacity = ob.opacity ?? 0.95;
-        obstacles.addSphere(new THREE.Vector3(p.x, p.y, p.z), ob.radius ?? 2, { color, opacity });
-      }
+  map = parseMap(map);
+  const added = map.obstacles.map(entry => addObstacleFromMap(obstacles, entry));
+  map.obstacles.forEach((entry, i) => setMotionFromMap(obstacles, added[i], entry));
+  // Spawns: { position, faction }
+  const spawns = map.spawns.map(s => ({ position: new THREE.Vector3(s.x, s.y, s.z), faction: s.faction }));
+  return { spawns };
+}
+
+// Add one map obstacle entry (already validated) to an ObstacleManager; `id` when restoring a save.
+// Motion is applied separately (setMotionFromMap) once every potential orbit parent exists.
+export function addObstacleFromMap(obstacles, entry, { id } = {}) {
+  const position = toVec(entry.position);
+  const opts = { id, name: entry.name, color: entry.color, opacity: entry.opacity, rotation: entry.rotation };
+  switch (entry.type) {
+    case 'sphere': return obstacles.addSphere(position, entry.radius, opts);
+    case 'box': return obstacles.addBox(position, toVec(entry.size).multiplyScalar(0.5), opts);
+    case 'capsule': return obstacles.addCapsule(position, entry.length, entry.radius, opts);
+    case 'torus': return obstacles.addTorus(position, entry.radius, entry.tube, opts);
+    case 'asteroidField': {
+      const { count, minRadius, maxRadius, seed } = entry;
+      return obstacles.addAsteroidField(position, toVec(entry.size), { count, minRadius, maxRadius, seed }, opts);
     }
+    default: throw new Error(`Unknown obstacle type: ${entry.type}`);
   }
-  // Spawns
-  const spawns = Array.isArray(map.spawns) ? map.spawns.map(s => new THREE.Vector3(s.x||0, s.y||0, s.z||0)) : [];
-  return { spawns };
+}
+
+// Give `ob` the motion of its map entry, if any; orbit parents are looked up by name
+export function setMotionFromMap(obstacles, ob, entry) {
+  const m = entry.motion;
+  if (!m) return;
+  const orbit = m.orbit && {
+    parent: obstacles.getAll().find(o => o.name === m.orbit.parent),
+    period: m.orbit.period,
+    axis: m.orbit.axis && toVec(m.orbit.axis),
+  };
+  obstacles.setMotion(ob, { orbit, drift: m.drift && toVec(m.drift), spin: m.spin && toVec(m.spin) });
+}
+
+// The map entry an obstacle record was (or could have been) created from; moving obstacles give
+// their starting pose
+export function obstacleToMap(ob) {
+  const entry = { type: ob.type, position: fromVec(ob.basePosition ?? ob.position) };
+  if (ob.name) entry.name = ob.name;
+  switch (ob.type) {
+    case 'sphere': entry.radius = ob.radius; break;
+    case 'box': entry.size = fromVec(ob.halfExtents.clone().multiplyScalar(2)); break;
+    case 'capsule': Object.assign(entry, { length: ob.length, radius: ob.radius }); break;
+    case 'torus': Object.assign(entry, { radius: ob.radius, tube: ob.tube }); break;
+    case 'asteroidField': {
+      const { count, minRadius, maxRadius, seed } = ob;
+      Object.assign(entry, { size: fromVec(ob.size), count, minRadius, maxRadius, seed });
+      break;
+    }
+  }
+  if (ob.type !== 'sphere' && (ob.rotation.x || ob.rotation.y || ob.rotation.z)) entry.rotation = { ...ob.rotation };
+  if (ob.motion) {
+    const { orbit, drift, spin } = ob.motion;
+    entry.motion = {};
+    if (orbit) entry.motion.orbit = { parent: orbit.parent.name, period: orbit.period, axis: fromVec(orbit.axis) };
+    if (drift) entry.motion.drift = fromVec(drift);
+    if (spin) entry.motion.spin = fromVec(spin);
+  }
+  entry.color = ob.color;
+  entry.opacity = ob.opacity;
+  return entry;
+}
+
+function toVec({ x, y, z }) {
+  return new THREE.Vector3(x, y, z);
+}
+
+function fromVec(v) {
+  return { x: v.x, y: v.y, z: v.z };
 }
@@ -0,0 +1,247 @@
+// Map file schema, migration and validation.
+// Current format (version 1):
+// {
+//   "version": 1,
+//   "name": "Demo Star Systems",                          // optional
+//   "size": { "halfSize": 150, "gridStep": 10 },           // optional, both > 0
+//   "spawns": [ { "x": -60, "y": 5, "z": -60, "faction": 0 } ],
+//   "obstacles": [
+//     { "type": "sphere", "position": { "x": 10, "y": 0, "z": -5 }, "radius": 4, "color": 3822952, "opacity": 0.95 },
+//     { "type": "box", "position": {...}, "size": { "x": 40, "y": 8, "z": 20 }, "rotation": { "x": 0, "y": 30, "z": 0 } },
+//     { "type": "capsule", "position": {...}, "length": 60, "radius": 6 },
+//     { "type": "torus", "position": {...}, "radius": 80, "tube": 6 },
+//     { "type": "asteroidField", "position": {...}, "size": { "x": 120, "y": 20, "z": 80 },
+//       "count": 150, "minRadius": 0.8, "maxRadius": 4, "seed": 7 }
+//   ]
+// }
+// size is the full extent of a box or field; a capsule lies along its local Z with `length`
+// between the cap centres; a torus ring lies in its local XZ plane. rotation (Euler degrees, XYZ),
+// color (0xRRGGBB), opacity (0..1) and a field's seed are optional.
+// Any obstacle may have a unique "name" and a "motion" (position and rotation are then its pose at
+// the start of the match):
+//   "motion": { "orbit": { "parent": "Kepler", "period": 120, "axis": { "x": 0, "y": 1, "z": 0 } },
+//               "drift": { "x": 0.5, "y": 0, "z": 0 }, "spin": { "x": 0, "y": 6, "z": 0 } }
+// orbit circles the named obstacle every `period` seconds (negative = reverse) about `axis`
+// (default up) at its starting offset; drift is units/s; spin is degrees/s about its direction.
+// All three parts are optional.
+// Files without a version are version 0: the same shape with every field optional, missing values
+// taking the defaults the old loader used. parseMap() migrates older versions step by step and then
+// reports every schema violation with its path, e.g. `obstacles[12].radius must be > 0`.
+
+export const MAP_VERSION = 1;
+export const MAX_FIELD_ROCKS = 500; // per asteroid field
+
+// Thrown for maps that cannot be used; `errors` lists each problem as "<path> <message>"
+export class MapError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}:\n  ${errors.join('\n  ')}` : message);
+    this.name = 'MapError';
+    this.summary = message;
+    this.errors = errors;
+  }
+}
+
+// Migrated and validated copy of a parsed map file; throws MapError. `source` names the file in messages.
+export function parseMap(json, source = 'Map') {
+  if (!isObject(json)) throw new MapError(`${source} is not a JSON object`);
+  const map = migrateMap(json);
+  const errors = validateMap(map);
+  if (errors.length) {
+    throw new MapError(`${source} has ${errors.length} error${errors.length === 1 ? '' : 's'}`, errors);
+  }
+  return map;
+}
+
+// MIGRATIONS[v] turns a version v map into version v + 1 (returning a new object)
+const MIGRATIONS = {
+  0: (m) => ({
+    ...m,
+    version: 1,
+    spawns: Array.isArray(m.spawns)
+      ? m.spawns.map((s, i) => (isObject(s) ? { ...s, x: s.x ?? 0, y: s.y ?? 0, z: s.z ?? 0, faction: s.faction ?? i } : s))
+      : m.spawns ?? [],
+    obstacles: Array.isArray(m.obstacles)
+      ? m.obstacles.map(ob => (isObject(ob) ? { ...ob, position: ob.position ?? { x: 0, y: 0, z: 0 }, radius: ob.radius ?? 2 } : ob))
+      : m.obstacles ?? [],
+  }),
+};
+
+// Bring an older map up to MAP_VERSION; anything but an integer version from 0 below MAP_VERSION
+// (unknown, negative, newer) is left for validateMap to report
+export function migrateMap(json) {
+  let map = json;
+  let version = map.version ?? 0;
+  while (Number.isInteger(version) && version >= 0 && version < MAP_VERSION) {
+    map = MIGRATIONS[version](map);
+    version = map.version;
+  }
+  return map;
+}
+
+// Per-type fields of an obstacle, beyond `type`, `color` and `opacity`
+const OBSTACLE_SCHEMAS = {
+  sphere(ob, path, errors) {
+    vec3(errors, `${path}.position`, ob.position);
+    num(errors, `${path}.radius`, ob.radius, { above: 0 });
+  },
+  box(ob, path, errors) {
+    vec3(errors, `${path}.position`, ob.position);
+    vec3(errors, `${path}.size`, ob.size, { above: 0 });
+    rotation(errors, path, ob);
+  },
+  capsule(ob, path, errors) {
+    vec3(errors, `${path}.position`, ob.position);
+    num(errors, `${path}.length`, ob.length, { min: 0 });
+    num(errors, `${path}.radius`, ob.radius, { above: 0 });
+    rotation(errors, path, ob);
+  },
+  torus(ob, path, errors) {
+    vec3(errors, `${path}.position`, ob.position);
+    num(errors, `${path}.radius`, ob.radius, { above: 0 });
+    num(errors, `${path}.tube`, ob.tube, { above: 0 });
+    if (ob.tube >= ob.radius) errors.push(`${path}.tube must be < radius`);
+    rotation(errors, path, ob);
+  },
+  asteroidField(ob, path, errors) {
+    vec3(errors, `${path}.position`, ob.position);
+    vec3(errors, `${path}.size`, ob.size, { above: 0 });
+    num(errors, `${path}.count`, ob.count, { integer: true, min: 1, max: MAX_FIELD_ROCKS });
+    num(errors, `${path}.minRadius`, ob.minRadius, { above: 0 });
+    num(errors, `${path}.maxRadius`, ob.maxRadius, { above: 0 });
+    if (ob.maxRadius < ob.minRadius) errors.push(`${path}.maxRadius must be >= minRadius`);
+    num(errors, `${path}.seed`, ob.seed, { integer: true, optional: true });
+    rotation(errors, path, ob);
+  },
+};
+export const OBSTACLE_TYPES = Object.keys(OBSTACLE_SCHEMAS);
+
+// Every schema violation of a current-version map, as "<path> <message>" strings
+export function validateMap(map) {
+  const errors = [];
+  if (map.version !== MAP_VERSION) {
+    errors.push(Number.isInteger(map.version) && map.version > MAP_VERSION
+      ? `version ${map.version} is newer than this game supports (${MAP_VERSION})`
+      : `version must be an integer from 0 to ${MAP_VERSION}`);
+    return errors; // the rest of the schema depends on the version
+  }
+  if (map.name !== undefined && typeof map.name !== 'string') errors.push('name must be a string');
+  if (map.size !== undefined) {
+    if (!isObject(map.size)) errors.push('size must be an object');
+    else {
+      num(errors, 'size.halfSize', map.size.halfSize, { above: 0, optional: true });
+      num(errors, 'size.gridStep', map.size.gridStep, { above: 0, optional: true });
+    }
+  }
+  list(errors, 'spawns', map.spawns, (s, path) => {
+    for (const k of ['x', 'y', 'z']) num(errors, `${path}.${k}`, s[k]);
+    num(errors, `${path}.faction`, s.faction, { integer: true, min: 0 });
+  });
+  const names = new Map(); // obstacle name -> index
+  list(errors, 'obstacles', map.obstacles, (ob, path, i) => {
+    const schema = OBSTACLE_SCHEMAS[ob.type];
+    if (!schema) {
+      errors.push(`${path}.type must be one of ${OBSTACLE_TYPES.join(', ')} (got ${JSON.stringify(ob.type)})`);
+      return;
+    }
+    schema(ob, path, errors);
+    if (ob.name !== undefined) {
+      if (typeof ob.name !== 'string' || !ob.name) errors.push(`${path}.name must be a non-empty string`);
+      else if (names.has(ob.name)) errors.push(`${path}.name "${ob.name}" is already used by obstacles[${names.get(ob.name)}]`);
+      else names.set(ob.name, i);
+    }
+    if (ob.motion !== undefined) motion(errors, `${path}.motion`, ob.motion);
+    num(errors, `${path}.color`, ob.color, { integer: true, min: 0, max: 0xffffff, optional: true });
+    num(errors, `${path}.opacity`, ob.opacity, { min: 0, max: 1, optional: true });
+  });
+  if (Array.isArray(map.obstacles)) orbitParents(errors, map.obstacles, names);
+  return errors;
+}
+
+function motion(errors, path, m) {
+  if (!isObject(m)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (m.orbit !== undefined) {
+    if (!isObject(m.orbit)) errors.push(`${path}.orbit must be an object`);
+    else {
+      if (typeof m.orbit.parent !== 'string') errors.push(`${path}.orbit.parent must be an obstacle name`);
+      num(errors, `${path}.orbit.period`, m.orbit.period);
+      if (m.orbit.period === 0) errors.push(`${path}.orbit.period must not be 0`);
+      if (m.orbit.axis !== undefined) {
+        vec3(errors, `${path}.orbit.axis`, m.orbit.axis);
+        if (isObject(m.orbit.axis) && !(m.orbit.axis.x || m.orbit.axis.y || m.orbit.axis.z)) {
+          errors.push(`${path}.orbit.axis must not be zero`);
+        }
+      }
+    }
+  }
+  if (m.drift !== undefined) vec3(errors, `${path}.drift`, m.drift);
+  if (m.spin !== undefined) vec3(errors, `${path}.spin`, m.spin);
+}
+
+// Orbit parents must name another obstacle, without cycles
+function orbitParents(errors, obstacles, names) {
+  const parentOf = (i) => {
+    const parent = obstacles[i]?.motion?.orbit?.parent;
+    return typeof parent === 'string' ? names.get(parent) : undefined;
+  };
+  obstacles.forEach((ob, i) => {
+    const parent = ob?.motion?.orbit?.parent;
+    if (typeof parent !== 'string') return;
+    const path = `obstacles[${i}].motion.orbit.parent`;
+    if (!names.has(parent)) {
+      errors.push(`${path} "${parent}" does not name an obstacle`);
+      return;
+    }
+    // Walk up the chain; coming back to i (or running longer than the list) is a cycle
+    let j = parentOf(i);
+    for (let steps = 0; j !== undefined && steps <= obstacles.length; steps++) {
+      if (j === i) {
+        errors.push(`${path} "${parent}" orbits back to this obstacle`);
+        return;
+      }
+      j = parentOf(j);
+    }
+  });
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function num(errors, path, v, { optional = false, integer = false, above, min, max } = {}) {
+  if (v === undefined && optional) return;
+  if (typeof v !== 'number' || !Number.isFinite(v)) {
+    errors.push(`${path} must be a number`);
+    return;
+  }
+  if (integer && !Number.isInteger(v)) errors.push(`${path} must be an integer`);
+  if (above !== undefined && !(v > above)) errors.push(`${path} must be > ${above}`);
+  if (min !== undefined && v < min) errors.push(`${path} must be >= ${min}`);
+  if (max !== undefined && v > max) errors.push(`${path} must be <= ${max}`);
+}
+
+function vec3(errors, path, v, limits = {}) {
+  if (!isObject(v)) {
+    errors.push(`${path} must be an object { x, y, z }`);
+    return;
+  }
+  for (const k of ['x', 'y', 'z']) num(errors, `${path}.${k}`, v[k], limits);
+}
+
+// Optional Euler angle in degrees
+function rotation(errors, path, ob) {
+  if (ob.rotation !== undefined) vec3(errors, `${path}.rotation`, ob.rotation);
+}
+
+function list(errors, path, v, each) {
+  if (!Array.isArray(v)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+  v.forEach((item, i) => {
+    if (isObject(item)) each(item, `${path}[${i}]`, i);
+    else errors.push(`${path}[${i}] must be an object`);
+  });
+}
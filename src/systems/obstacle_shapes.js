@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+
+// Geometry of obstacle colliders as signed distance fields, shared by steering, target projection,
+// weapon line-of-sight and picking. A collider is an obstacle record (or one rock of an asteroid
+// field) with `type`, `position` and, for oriented shapes, `quaternion`:
+//   sphere   radius
+//   box      halfExtents (THREE.Vector3)
+//   capsule  length between the cap centres along local Z, radius
+//   torus    radius of the ring's centre line in the local XZ plane, tube
+// Plain { position, radius } objects are treated as spheres.
+// Distances are exact for all four shapes, so they can also be sphere-traced.
+
+const _local = new THREE.Vector3();
+const _invQ = new THREE.Quaternion();
+const _p = new THREE.Vector3();
+
+const SHAPES = {
+  sphere: {
+    sdf: (c, p) => p.distanceTo(c.position) - c.radius,
+    bound: (c) => c.radius,
+    feature: (c) => c.radius,
+  },
+  box: {
+    sdf(c, p) {
+      const q = toLocal(c, p);
+      const h = c.halfExtents;
+      const dx = Math.abs(q.x) - h.x, dy = Math.abs(q.y) - h.y, dz = Math.abs(q.z) - h.z;
+      const outside = Math.hypot(Math.max(dx, 0), Math.max(dy, 0), Math.max(dz, 0));
+      return outside + Math.min(Math.max(dx, dy, dz), 0);
+    },
+    bound: (c) => c.halfExtents.length(),
+    feature: (c) => Math.min(c.halfExtents.x, c.halfExtents.y, c.halfExtents.z),
+  },
+  capsule: {
+    sdf(c, p) {
+      const q = toLocal(c, p);
+      const half = c.length / 2;
+      return Math.hypot(q.x, q.y, q.z - THREE.MathUtils.clamp(q.z, -half, half)) - c.radius;
+    },
+    bound: (c) => c.length / 2 + c.radius,
+    feature: (c) => c.radius,
+  },
+  torus: {
+    sdf(c, p) {
+      const q = toLocal(c, p);
+      return Math.hypot(Math.hypot(q.x, q.z) - c.radius, q.y) - c.tube;
+    },
+    bound: (c) => c.radius + c.tube,
+    feature: (c) => c.tube,
+  },
+};
+
+function shapeOf(c) {
+  return SHAPES[c.type ?? 'sphere'];
+}
+
+function toLocal(c, p) {
+  return _local.copy(p).sub(c.position).applyQuaternion(_invQ.copy(c.quaternion).invert());
+}
+
+// Distance from p to the collider's surface, negative inside
+export function signedDistance(c, p) {
+  return shapeOf(c).sdf(c, p);
+}
+
+// Radius of a sphere around `position` that contains the whole collider
+export function boundingRadius(c) {
+  return shapeOf(c).bound(c);
+}
+
+// Typical thickness of the collider, used to scale how hard steering reacts to it
+export function featureRadius(c) {
+  return shapeOf(c).feature(c);
+}
+
+// Outward surface normal at (or nearest to) p; zero where it is undefined (a sphere's centre)
+export function surfaceNormal(c, p, out = new THREE.Vector3()) {
+  if ((c.type ?? 'sphere') === 'sphere') {
+    out.copy(p).sub(c.position);
+    const len = out.length();
+    return len < 1e-6 ? out.set(0, 0, 0) : out.divideScalar(len);
+  }
+  // Central differences of the distance field
+  const e = 0.01;
+  const sdf = shapeOf(c).sdf;
+  const dx = sdf(c, _p.set(p.x + e, p.y, p.z)) - sdf(c, _p.set(p.x - e, p.y, p.z));
+  const dy = sdf(c, _p.set(p.x, p.y + e, p.z)) - sdf(c, _p.set(p.x, p.y - e, p.z));
+  const dz = sdf(c, _p.set(p.x, p.y, p.z + e)) - sdf(c, _p.set(p.x, p.y, p.z - e));
+  out.set(dx, dy, dz);
+  const len = out.length();
+  return len < 1e-6 ? out.set(0, 0, 0) : out.divideScalar(len);
+}
+
+// Point of segment start + dir * t (t in [0, len], dir normalized) closest to the collider surface:
+// { t, distance }. Exact for spheres; other shapes sample the segment and refine the best sample.
+export function closestOnSegment(c, start, dir, len) {
+  if ((c.type ?? 'sphere') === 'sphere') {
+    const t = THREE.MathUtils.clamp(_p.copy(c.position).sub(start).dot(dir), 0, len);
+    return { t, distance: signedDistance(c, _p.copy(start).addScaledVector(dir, t)) };
+  }
+  const at = (t) => signedDistance(c, _p.copy(start).addScaledVector(dir, t));
+  const samples = 8;
+  let best = 0;
+  let bestD = Infinity;
+  for (let i = 0; i <= samples; i++) {
+    const d = at((len * i) / samples);
+    if (d < bestD) { bestD = d; best = i; }
+  }
+  // Golden-section search in the neighbouring intervals
+  let lo = (len * Math.max(0, best - 1)) / samples;
+  let hi = (len * Math.min(samples, best + 1)) / samples;
+  const g = 0.381966;
+  for (let k = 0; k < 12; k++) {
+    const m1 = lo + (hi - lo) * g;
+    const m2 = hi - (hi - lo) * g;
+    if (at(m1) < at(m2)) hi = m2; else lo = m1;
+  }
+  const t = (lo + hi) / 2;
+  const d = at(t);
+  return d < bestD ? { t, distance: d } : { t: (len * best) / samples, distance: bestD };
+}
+
+// Parametric t in [0,1] where segment a->b hits the collider, or null. For spheres this is the
+// point of closest approach (cheap and good enough for short projectile steps).
+export function segmentHit(c, a, b) {
+  const ab = _p.copy(b).sub(a);
+  const len = ab.length();
+  if ((c.type ?? 'sphere') === 'sphere') {
+    const len2 = len * len;
+    const t = len2 > 0 ? THREE.MathUtils.clamp(c.position.clone().sub(a).dot(ab) / len2, 0, 1) : 0;
+    return a.clone().addScaledVector(ab, t).distanceTo(c.position) <= c.radius ? t : null;
+  }
+  if (len < 1e-9) return signedDistance(c, a) <= 0 ? 0 : null;
+  const hit = trace(c, a, ab.clone().divideScalar(len), len);
+  return hit === null ? null : hit / len;
+}
+
+// Distance along a normalized ray to the collider surface, or null within maxDist
+export function rayHit(c, origin, dir, maxDist = Infinity) {
+  return trace(c, origin, dir, maxDist);
+}
+
+// Sphere tracing, starting where the ray enters the bounding sphere
+function trace(c, origin, dir, maxDist) {
+  const r = boundingRadius(c);
+  const toC = c.position.clone().sub(origin);
+  const along = toC.dot(dir);
+  const off2 = toC.lengthSq() - along * along;
+  if (off2 > r * r) return null;
+  let t = Math.max(0, along - Math.sqrt(r * r - off2));
+  const tEnd = Math.min(maxDist, along + Math.sqrt(r * r - off2));
+  const p = new THREE.Vector3();
+  for (let i = 0; i < 96 && t <= tEnd; i++) {
+    const d = signedDistance(c, p.copy(origin).addScaledVector(dir, t));
+    if (d <= 1e-3) return t;
+    t += d;
+  }
+  return null;
+}
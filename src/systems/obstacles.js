@@ -1,38 +1,235 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
-
-let NEXT_OB_ID = 1;
+import * as THREE from 'three';
+import { SpatialHash } from './spatial_hash.js';
+import { boundingRadius } from './obstacle_shapes.js';
+import { createRng } from './rng.js';
 
+// Obstacle state only; ObstacleRenderer (src/render) builds the meshes.
+// Records: { id, type, position, quaternion, rotation, boundingRadius, color, opacity, ...shape }
+// with the shape fields described in obstacle_shapes.js. `rotation` is the Euler angle in degrees
+// the obstacle was placed with (kept so maps and saves round-trip exactly).
+// An asteroid field is one record ({ size, count, minRadius, maxRadius, seed }) whose `rocks` are
+// sphere colliders scattered through the box `size` from its seed.
+//
+// Motion (see setMotion) is a closed-form function of `elapsed`, the seconds of motion simulated so
+// far: orbits around a parent body, linear drift and spin. Every collider carries `velocity`
+// (zero when static) plus prevPosition/prevQuaternion for render interpolation.
 export class ObstacleManager {
-  constructor(scene) {
-    this.scene = scene;
-    this.obstacles = []; // { id, position:THREE.Vector3, radius:number, mesh }
-  }
-
-  addSphere(position, radius, materialOpts = {}) {
-    const id = NEXT_OB_ID++;
-    const geo = new THREE.SphereGeometry(radius, 32, 18);
-    const mat = new THREE.MeshStandardMaterial({
-      color: materialOpts.color ?? 0x444a66,
-      roughness: 0.9,
-      metalness: 0.0,
-      transparent: true,
-      opacity: materialOpts.opacity ?? 0.95,
-    });
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.copy(position);
-    mesh.receiveShadow = true;
-    mesh.castShadow = false;
-    mesh.userData.obstacleId = id;
-    this.scene.add(mesh);
-
-    const ob = { id, position: position.clone(), radius, mesh };
-    this.obstacles.push(ob);
+  constructor() {
+    this.obstacles = [];
+    this.nextId = 1;
+    this.index = new SpatialHash(40);
+    this._indexDirty = false;
+    this.elapsed = 0;
+    this.moving = []; // obstacles with motion, parents before the bodies orbiting them
+    this.maxSpeed = 0; // fastest collider, widens neighbourhood queries
+    this.revision = 0; // bumped when obstacles are added, cleared or set moving (layout caches key on it)
+  }
+
+  // opts for every add*: { color, opacity, name, id } (id only when rebuilding a saved world)
+  addSphere(position, radius, opts = {}) {
+    return this._add({ type: 'sphere', position, radius }, opts);
+  }
+
+  // Oriented box; opts.rotation is an Euler angle in degrees ({ x, y, z })
+  addBox(position, halfExtents, opts = {}) {
+    return this._add({ type: 'box', position, halfExtents: halfExtents.clone() }, opts);
+  }
+
+  // Capsule along local Z: `length` between the cap centres, `radius` of the tube
+  addCapsule(position, length, radius, opts = {}) {
+    return this._add({ type: 'capsule', position, length, radius }, opts);
+  }
+
+  // Ring in the local XZ plane: `radius` to the tube centre line, `tube` thickness
+  addTorus(position, radius, tube, opts = {}) {
+    return this._add({ type: 'torus', position, radius, tube }, opts);
+  }
+
+  // Rocks of minRadius..maxRadius scattered without overlap through a box of full extents `size`;
+  // the same seed always gives the same field. May place fewer than `count` if the box is crowded.
+  addAsteroidField(position, size, { count, minRadius, maxRadius, seed = 1 }, opts = {}) {
+    const field = this._add({ type: 'asteroidField', position, size: size.clone(), count, minRadius, maxRadius, seed }, opts);
+    field.rocks = scatterRocks(field);
+    field.boundingRadius = size.length() / 2;
+    this._placeRocks(field);
+    for (const rock of field.rocks) rock.prevPosition.copy(rock.position);
+    return field;
+  }
+
+  // motion: { orbit: { parent, period, axis }, drift, spin }, all optional.
+  //   orbit  circle `parent` (an obstacle record) every `period` seconds (negative = reverse) about
+  //          `axis` (default world up), keeping the current offset from the parent
+  //   drift  linear velocity (THREE.Vector3, units/s)
+  //   spin   angular velocity in degrees/s about the vector's direction (THREE.Vector3)
+  // The obstacle's current position and rotation become its pose at elapsed = 0.
+  setMotion(ob, motion) {
+    const { orbit = null, drift = null, spin = null } = motion;
+    ob.motion = {
+      orbit: orbit && {
+        parent: orbit.parent,
+        period: orbit.period,
+        axis: (orbit.axis ?? new THREE.Vector3(0, 1, 0)).clone().normalize(),
+        offset: ob.position.clone().sub(orbit.parent.basePosition ?? orbit.parent.position),
+      },
+      drift: drift && drift.clone(),
+      spin: spin && spin.clone(),
+    };
+    ob.basePosition = ob.position.clone();
+    ob.baseQuaternion = ob.quaternion.clone();
+    if (!this.moving.includes(ob)) this.moving.push(ob);
+    // Parents first; depth is the length of the orbit chain
+    const depth = (o) => (o.motion?.orbit ? 1 + depth(o.motion.orbit.parent) : 0);
+    this.moving.sort((a, b) => depth(a) - depth(b));
+    this._pose(ob);
+    this._indexDirty = true;
+    this.revision++;
     return ob;
   }
 
   getAll() { return this.obstacles; }
 
-  update() {
-    // static for now
+  getById(id) {
+    return this.obstacles.find(o => o.id === id) ?? null;
+  }
+
+  // The shapes steering and weapons collide with: the obstacle itself, or a field's rocks
+  collidersOf(ob) {
+    return ob.rocks ?? [ob];
+  }
+
+  clear() {
+    this.obstacles = [];
+    this.moving = [];
+    this.nextId = 1;
+    this.elapsed = 0;
+    this.maxSpeed = 0;
+    this._indexDirty = true;
+    this.revision++;
+  }
+
+  // Colliders whose bounding sphere intersects the query sphere
+  queryObstacles(center, radius, out = []) {
+    if (this._indexDirty) {
+      this.index.clear();
+      for (const ob of this.obstacles) {
+        for (const c of this.collidersOf(ob)) this.index.insert(c, c.boundingRadius);
+      }
+      this._indexDirty = false;
+    }
+    return this.index.query(center, radius, out);
+  }
+
+  update(dt) {
+    if (!this.moving.length) return;
+    this.elapsed += dt;
+    this.maxSpeed = 0;
+    for (const ob of this.moving) {
+      for (const c of this.collidersOf(ob)) {
+        c.prevPosition.copy(c.position);
+        c.prevQuaternion?.copy(c.quaternion);
+      }
+      this._pose(ob);
+      for (const c of this.collidersOf(ob)) this.maxSpeed = Math.max(this.maxSpeed, c.velocity.length());
+    }
+    this._indexDirty = true;
+  }
+
+  // Jump all motion to `elapsed` seconds (restoring a save); previous poses match the new ones
+  setElapsed(elapsed) {
+    this.elapsed = elapsed;
+    for (const ob of this.moving) {
+      this._pose(ob);
+      for (const c of this.collidersOf(ob)) {
+        c.prevPosition.copy(c.position);
+        c.prevQuaternion?.copy(c.quaternion);
+        this.maxSpeed = Math.max(this.maxSpeed, c.velocity.length());
+      }
+    }
+    this._indexDirty = true;
+  }
+
+  // Position, rotation and velocity of a moving obstacle (and its rocks) at `elapsed`
+  _pose(ob) {
+    const t = this.elapsed;
+    const { orbit, drift, spin } = ob.motion;
+    ob.velocity.set(0, 0, 0);
+    if (orbit) {
+      const w = (Math.PI * 2) / orbit.period;
+      const r = _v.copy(orbit.offset).applyAxisAngle(orbit.axis, w * t);
+      ob.position.copy(orbit.parent.position).add(r);
+      ob.velocity.copy(orbit.parent.velocity).add(_w.copy(orbit.axis).multiplyScalar(w).cross(r));
+    } else {
+      ob.position.copy(ob.basePosition);
+    }
+    if (drift) {
+      ob.position.addScaledVector(drift, t);
+      ob.velocity.add(drift);
+    }
+    if (spin) {
+      const rate = THREE.MathUtils.degToRad(spin.length());
+      ob.quaternion.setFromAxisAngle(_w.copy(spin).normalize(), rate * t).multiply(ob.baseQuaternion);
+    }
+    if (ob.rocks) this._placeRocks(ob);
+  }
+
+  _add(shape, opts) {
+    const rotation = { x: 0, y: 0, z: 0, ...opts.rotation };
+    const ob = {
+      id: opts.id ?? this.nextId,
+      ...shape,
+      position: shape.position.clone(),
+      rotation,
+      quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(
+        THREE.MathUtils.degToRad(rotation.x), THREE.MathUtils.degToRad(rotation.y), THREE.MathUtils.degToRad(rotation.z),
+      )),
+      color: opts.color ?? 0x444a66,
+      opacity: opts.opacity ?? 0.95,
+      name: opts.name ?? null,
+      motion: null,
+      velocity: new THREE.Vector3(),
+    };
+    ob.prevPosition = ob.position.clone();
+    ob.prevQuaternion = ob.quaternion.clone();
+    if (ob.type !== 'asteroidField') ob.boundingRadius = boundingRadius(ob);
+    this.nextId = Math.max(this.nextId, ob.id + 1);
+    this.obstacles.push(ob);
+    this._indexDirty = true;
+    this.revision++;
+    return ob;
+  }
+
+  // World positions of a field's rocks from their offsets; a spinning field carries its rocks round
+  _placeRocks(field) {
+    const spin = field.motion?.spin;
+    const omega = spin ? _w.copy(spin).multiplyScalar(Math.PI / 180) : null; // rad/s
+    for (const rock of field.rocks) {
+      rock.position.copy(rock.offset).applyQuaternion(field.quaternion).add(field.position);
+      rock.velocity.copy(field.velocity);
+      if (omega) rock.velocity.add(_v.copy(omega).cross(_r.copy(rock.position).sub(field.position)));
+    }
+  }
+}
+
+const _v = new THREE.Vector3();
+const _w = new THREE.Vector3();
+const _r = new THREE.Vector3();
+
+function scatterRocks({ size, count, minRadius, maxRadius, seed }) {
+  const rng = createRng(seed);
+  const rocks = [];
+  for (let i = 0; i < count; i++) {
+    // Many small rocks, few big ones
+    const radius = minRadius + (maxRadius - minRadius) * rng.next() ** 2;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const offset = new THREE.Vector3(
+        rng.range(-1, 1) * Math.max(0, size.x / 2 - radius),
+        rng.range(-1, 1) * Math.max(0, size.y / 2 - radius),
+        rng.range(-1, 1) * Math.max(0, size.z / 2 - radius),
+      );
+      if (rocks.some(r => r.offset.distanceTo(offset) < r.radius + radius)) continue;
+      rocks.push({ type: 'sphere', offset, position: offset.clone(), prevPosition: offset.clone(), velocity: new THREE.Vector3(), radius, boundingRadius: radius });
+      break;
+    }
   }
+  return rocks;
 }
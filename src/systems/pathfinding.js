@@ -0,0 +1,251 @@
+import * as THREE from 'three';
+import { SpatialHash } from './spatial_hash.js';
+import { signedDistance } from './obstacle_shapes.js';
+
+// Global route planning around static obstacles: A* over a sparse voxel grid whose cells are only
+// classified (lazily, then cached) when the search reaches them, followed by string-pulling so the
+// route is a few straight legs instead of a staircase of cell centres. Local steering still handles
+// other ships and moving obstacles, which the planner ignores (their swept orbits would block whole
+// systems); it only has to get ships around planets, clusters and fields without dead ends.
+//
+// Cells are judged by their centre only, so a cell is closed when its centre is within `clearance`
+// plus half a cell of an obstacle: a step between two open centres cannot then cut through a gap
+// that is too narrow for the hull. Cells within a whole cell of that are open but expensive, so
+// routes keep their distance where they can yet still squeeze through wide enough gaps.
+const BITS = 10; // per axis: cell coordinates -512..511 pack into a small-integer key
+const OFFSET = 1 << (BITS - 1);
+const MASK = (1 << BITS) - 1;
+const HEURISTIC_WEIGHT = 1.2; // > 1 trades optimal routes for far fewer expansions
+export const TIGHT_COST = 6; // cost multiplier for cells near an obstacle
+
+// 26-connected neighbourhood: [dx, dy, dz, step length]
+export const NEIGHBORS = [];
+for (let dx = -1; dx <= 1; dx++) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dz = -1; dz <= 1; dz++) {
+      if (dx || dy || dz) NEIGHBORS.push([dx, dy, dz, Math.hypot(dx, dy, dz)]);
+    }
+  }
+}
+
+export const CELL = Object.freeze({ OPEN: 0, TIGHT: 1, CLOSED: 2 });
+const { OPEN, TIGHT, CLOSED } = CELL;
+
+// Classification of a cell whose centre is `distance` from the nearest obstacle surface
+export function cellState(distance, clearance, cellSize) {
+  const need = Math.ceil(clearance); // rounded up so similar hulls share cached cells
+  return distance < need + cellSize / 2 ? CLOSED : distance < need + cellSize ? TIGHT : OPEN;
+}
+
+export class Pathfinder {
+  constructor(obstacles, { cellSize = 10, maxExpansions = 6000 } = {}) {
+    this.obstacles = obstacles; // ObstacleManager
+    this.cellSize = cellSize;
+    this.maxExpansions = maxExpansions; // search budget per route
+    this.colliders = []; // static colliders only
+    this.index = new SpatialHash(40); // ... indexed for cell classification
+    this._cells = new Map(); // clearance -> Map(cell key -> OPEN/TIGHT/CLOSED)
+    this._revision = -1;
+  }
+
+  // Waypoints from `from` to `to` (the last one is a copy of `to`) for a ship that needs
+  // `clearance` from obstacle surfaces. A straight line is returned as [to]. When the search budget
+  // runs out the route leads to the explored cell closest to `to` and then straight on.
+  findPath(from, to, clearance) {
+    this.sync();
+    if (this.isClear(from, to, clearance)) return [to.clone()];
+    const cells = this._search(from, to, clearance);
+    const pts = [from, ...cells.map(k => this._center(k)), to.clone()];
+    return this._smooth(pts, clearance);
+  }
+
+  // True if a hull of radius `clearance` can fly straight from a to b
+  isClear(a, b, clearance) {
+    this.sync();
+    const dir = _dir.copy(b).sub(a);
+    const len = dir.length();
+    if (len < 1e-6) return this._distance(a, this._near(a, clearance)) > clearance;
+    dir.divideScalar(len);
+    // Colliders whose bounding sphere comes within clearance of the segment (legs can span the
+    // map, so this scans the list rather than thousands of hash cells)
+    const near = this.colliders.filter((c) => {
+      const t = THREE.MathUtils.clamp(_p.copy(c.position).sub(a).dot(dir), 0, len);
+      return _p.copy(a).addScaledVector(dir, t).distanceTo(c.position) < c.boundingRadius + clearance;
+    });
+    if (!near.length) return true;
+    // Sphere-trace the inflated obstacles; distances are exact so a step never skips a surface
+    const p = new THREE.Vector3();
+    for (let t = 0; ;) {
+      const d = this._distance(p.copy(a).addScaledVector(dir, t), near) - clearance;
+      if (d <= 0) return false;
+      if (t >= len) return true;
+      t = Math.min(len, t + Math.max(d, 0.25));
+    }
+  }
+
+  // Rebuild the static index (and forget classified cells) when obstacles were added or changed
+  sync() {
+    if (this._revision === this.obstacles.revision) return;
+    this._revision = this.obstacles.revision;
+    this.index.clear();
+    this._cells.clear();
+    this.colliders = this.obstacles.getAll().filter(ob => !ob.motion).flatMap(ob => this.obstacles.collidersOf(ob));
+    for (const c of this.colliders) this.index.insert(c, c.boundingRadius);
+  }
+
+  _near(p, reach) {
+    return this.index.query(p, reach);
+  }
+
+  _distance(p, colliders) {
+    let d = Infinity;
+    for (const c of colliders) d = Math.min(d, signedDistance(c, p));
+    return d;
+  }
+
+  _state(key, clearance) {
+    const need = Math.ceil(clearance);
+    let cells = this._cells.get(need);
+    if (!cells) { cells = new Map(); this._cells.set(need, cells); }
+    let s = cells.get(key);
+    if (s === undefined) {
+      const c = this._center(key);
+      s = cellState(this._distance(c, this._near(c, need + this.cellSize)), clearance, this.cellSize);
+      cells.set(key, s);
+    }
+    return s;
+  }
+
+  // Cell keys from the start cell (exclusive) to the goal cell, or to the closest cell reached
+  _search(from, to, clearance) {
+    const start = this._key(from);
+    const goal = this._key(to);
+    const [gx, gy, gz] = unpackKey(goal);
+    const h = (k) => {
+      const [x, y, z] = unpackKey(k);
+      return Math.hypot(x - gx, y - gy, z - gz);
+    };
+    const g = new Map([[start, 0]]);
+    const came = new Map();
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push(start, h(start) * HEURISTIC_WEIGHT);
+    let best = start;
+    let bestH = h(start);
+    for (let expanded = 0; open.size && expanded < this.maxExpansions; expanded++) {
+      const k = open.pop();
+      if (closed.has(k)) continue;
+      if (k === goal) { best = k; break; }
+      closed.add(k);
+      const hk = h(k);
+      if (hk < bestH) { best = k; bestH = hk; }
+      const [x, y, z] = unpackKey(k);
+      for (const [dx, dy, dz, step] of NEIGHBORS) {
+        if (!inGrid(x + dx, y + dy, z + dz)) continue;
+        const n = packKey(x + dx, y + dy, z + dz);
+        if (closed.has(n)) continue;
+        // The goal is open even if it hugs an obstacle (targets are already projected outside)
+        const s = n === goal ? OPEN : this._state(n, clearance);
+        if (s === CLOSED) continue;
+        const cost = g.get(k) + step * (s === TIGHT ? TIGHT_COST : 1);
+        if (cost >= (g.get(n) ?? Infinity)) continue;
+        g.set(n, cost);
+        came.set(n, k);
+        open.push(n, cost + h(n) * HEURISTIC_WEIGHT);
+      }
+    }
+    const cells = [];
+    for (let k = best; k !== start; k = came.get(k)) cells.push(k);
+    return cells.reverse();
+  }
+
+  // Greedy string-pulling: from each waypoint jump to the furthest one still in straight sight
+  _smooth(pts, clearance) {
+    const out = [];
+    let anchor = 0;
+    while (anchor < pts.length - 1) {
+      let next = anchor + 1;
+      while (next < pts.length - 1 && this.isClear(pts[anchor], pts[next + 1], clearance)) next++;
+      out.push(pts[next]);
+      anchor = next;
+    }
+    return out;
+  }
+
+  // Cell of a point, clamped into the grid (512 cells each way from the origin)
+  _key(p) {
+    const cell = (v) => THREE.MathUtils.clamp(Math.floor(v / this.cellSize), -OFFSET, OFFSET - 1);
+    return packKey(cell(p.x), cell(p.y), cell(p.z));
+  }
+
+  _center(key) {
+    const [x, y, z] = unpackKey(key);
+    const s = this.cellSize;
+    return new THREE.Vector3((x + 0.5) * s, (y + 0.5) * s, (z + 0.5) * s);
+  }
+}
+
+const _dir = new THREE.Vector3();
+const _p = new THREE.Vector3();
+
+function inGrid(x, y, z) {
+  return x >= -OFFSET && x < OFFSET && y >= -OFFSET && y < OFFSET && z >= -OFFSET && z < OFFSET;
+}
+
+function packKey(x, y, z) {
+  return ((x + OFFSET) << (2 * BITS)) | ((y + OFFSET) << BITS) | (z + OFFSET);
+}
+
+function unpackKey(k) {
+  return [(k >> (2 * BITS)) - OFFSET, ((k >> BITS) & MASK) - OFFSET, (k & MASK) - OFFSET];
+}
+
+// Binary min-heap of keys by priority; equal priorities pop in a fixed order, so routes (and
+// therefore replays) are deterministic
+export class MinHeap {
+  constructor() {
+    this.keys = [];
+    this.prio = [];
+  }
+
+  get size() { return this.keys.length; }
+
+  push(key, p) {
+    const { keys, prio } = this;
+    let i = keys.length;
+    keys.push(key);
+    prio.push(p);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (prio[parent] <= p) break;
+      keys[i] = keys[parent];
+      prio[i] = prio[parent];
+      i = parent;
+    }
+    keys[i] = key;
+    prio[i] = p;
+  }
+
+  pop() {
+    const { keys, prio } = this;
+    const top = keys[0];
+    const lastKey = keys.pop();
+    const lastP = prio.pop();
+    const n = keys.length;
+    if (n) {
+      let i = 0;
+      for (;;) {
+        let c = 2 * i + 1;
+        if (c >= n) break;
+        if (c + 1 < n && prio[c + 1] < prio[c]) c++;
+        if (prio[c] >= lastP) break;
+        keys[i] = keys[c];
+        prio[i] = prio[c];
+        i = c;
+      }
+      keys[i] = lastKey;
+      prio[i] = lastP;
+    }
+    return top;
+  }
+}
@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+import { LOCAL_COMMANDS } from './command_bus.js';
+import { serializeWorld, restoreWorld, encodeFields, decodeFields } from './save_game.js';
+
+// Command recording and deterministic playback.
+// A replay is the map, a save-game snapshot of the world when recording started and every
+// simulation command with the tick it was issued on and the ids of the units selected at that
+// moment. Playing it back restores that world and re-emits the commands on the same ticks; since
+// the simulation is deterministic for identical inputs the match replays exactly.
+// Version 1 files stored only unit spawns (id, type, faction, position) instead of the snapshot.
+export const REPLAY_FORMAT = 'conquertheuniverse-replay';
+export const REPLAY_VERSION = 2;
+
+export class ReplayRecorder {
+  constructor(sim, map) {
+    this.sim = sim;
+    this.startTick = sim.tick; // recorded ticks are relative to this
+    this.replay = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      tickRate: Math.round(1 / sim.fixedDt),
+      map,
+      snapshot: serializeWorld(sim),
+      commands: [], // { tick, type, selected: [unit ids], payload }
+    };
+    this._off = sim.commandBus.onAny((type, payload) => this._record(type, payload));
+  }
+
+  get tick() {
+    return this.sim.tick - this.startTick;
+  }
+
+  _record(type, payload = {}) {
+    if (LOCAL_COMMANDS.has(type)) return;
+    this.replay.commands.push({
+      tick: this.tick,
+      type,
+      selected: this.sim.unitManager.getSelected().map(u => u.id),
+      payload: encodeFields(payload, this.sim),
+    });
+  }
+
+  stop() {
+    this._off();
+  }
+
+  // Plain JSON object; `endTick` marks how far the match had run when it was taken
+  toJSON() {
+    return { ...this.replay, endTick: this.tick };
+  }
+}
+
+// Fetch a replay file (e.g. ?replay=<url>). Only the JSON is read here: ReplayPlayer checks the
+// format and version, and the map inside is validated when the world is built from it.
+export async function fetchReplay(url) {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`Failed to load replay ${url}: ${res.status}`);
+  try {
+    return JSON.parse(await res.text());
+  } catch (err) {
+    throw new Error(`${url} is not valid JSON: ${err.message}`);
+  }
+}
+
+export class ReplayPlayer {
+  constructor(sim, replay) {
+    if (replay?.format !== REPLAY_FORMAT) throw new Error('Not a replay file');
+    if (replay.version !== REPLAY_VERSION && replay.version !== 1) throw new Error(`Unsupported replay version ${replay.version}`);
+    if (Math.round(1 / sim.fixedDt) !== replay.tickRate) {
+      throw new Error(`Replay runs at ${replay.tickRate} ticks/s, simulation at ${Math.round(1 / sim.fixedDt)}`);
+    }
+    this.sim = sim;
+    this.replay = replay;
+    this._next = 0; // index of the next command to feed
+    this._off = sim.onBeforeTick((tick) => this._feed(tick));
+    this.restart();
+  }
+
+  get endTick() { return this.replay.endTick ?? 0; }
+  get finished() { return this.sim.tick >= this.endTick; }
+
+  // Rebuild the recorded starting world at tick 0
+  restart() {
+    const { sim, replay } = this;
+    this._next = 0;
+    if (replay.snapshot) {
+      restoreWorld(sim, replay.snapshot, { tick: 0 });
+      for (const u of sim.unitManager.units) u.setSelected(false); // selection is replayed per command
+      return;
+    }
+    sim.reset();
+    sim.loadMap(replay.map, { fleets: false });
+    for (const r of replay.units) {
+      const position = new THREE.Vector3().fromArray(r.position);
+      if (r.type) sim.unitManager.spawnUnitOfType(r.type, position, { faction: r.faction, id: r.id });
+      else sim.unitManager.spawnUnit(position, { faction: r.faction, id: r.id });
+    }
+    sim.unitManager.formation = replay.formation;
+  }
+
+  // Jump to a tick: forwards runs the simulation on, backwards restarts and fast-forwards
+  seek(tick) {
+    const target = Math.max(0, Math.min(this.endTick, Math.round(tick)));
+    if (target < this.sim.tick) this.restart();
+    this.sim.step(target - this.sim.tick);
+  }
+
+  dispose() {
+    this._off();
+  }
+
+  _feed(tick) {
+    const cmds = this.replay.commands;
+    while (this._next < cmds.length && cmds[this._next].tick <= tick) this._apply(cmds[this._next++]);
+  }
+
+  // Re-issue one command with the recorded selection, keeping the viewer's own selection intact
+  _apply(cmd) {
+    const { unitManager, commandBus } = this.sim;
+    const viewerSelection = new Set(unitManager.getSelected());
+    const selected = new Set(cmd.selected);
+    for (const u of unitManager.units) u.setSelected(selected.has(u.id));
+    commandBus.emit(cmd.type, decodeFields(cmd.payload, this.sim));
+    for (const u of unitManager.units) u.setSelected(viewerSelection.has(u));
+  }
+}
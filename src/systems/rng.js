@@ -0,0 +1,18 @@
+// Small seeded PRNG (mulberry32) for anything procedural that must come out the same on every
+// machine: asteroid fields, generated maps. Math.random() would break replays and saves.
+export function createRng(seed = 1) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next, // float in [0, 1)
+    range: (min, max) => min + (max - min) * next(),
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)), // inclusive
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+  };
+}
@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { Unit } from '../units/unit.js';
+import { addObstacleFromMap, obstacleToMap, setMotionFromMap } from './map_loader.js';
+
+// Versioned JSON snapshots of the whole simulation (plus an optional view: camera and cursor).
+// restoreWorld() rebuilds units through UnitManager/SHIP_DEFS and obstacles through ObstacleManager;
+// renderers pick the new units up via their listeners, so meshes come from ShipLibrary as usual.
+export const SAVE_FORMAT = 'conquertheuniverse-save';
+// Version 1 stored obstacles as bare spheres ({ id, position: [x, y, z], radius, color, opacity }).
+export const SAVE_VERSION = 2;
+
+export function serializeWorld(sim, { map = null, view = null } = {}) {
+  const { unitManager, obstacles, combat } = sim;
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    tick: sim.tick,
+    map, // kept for grid size and name; obstacles below are authoritative
+    formation: unitManager.formation,
+    nextUnitId: unitManager.nextUnitId,
+    obstacles: obstacles.getAll().map(ob => ({ id: ob.id, ...obstacleToMap(ob) })), // map entries plus id
+    obstacleTime: obstacles.elapsed, // seconds of obstacle motion
+    units: unitManager.units.map(u => ({
+      id: u.id,
+      type: u.type,
+      faction: u.faction,
+      radius: u.radius, // models measured in the browser may differ from SHIP_DEFS
+      position: u.position.toArray(),
+      velocity: u.velocity.toArray(),
+      quaternion: u.quaternion.toArray(),
+      hp: u.hp,
+      selected: u.selected,
+      target: u.target ? u.target.toArray() : null,
+      attackTarget: u.attackTarget ? encodeValue(u.attackTarget, sim) : null,
+      order: u.order ? encodeFields(u.order, sim) : null,
+      orderQueue: u.orderQueue.map(o => encodeFields(o, sim)),
+      route: u.route ? encodeFields(u.route, sim) : null,
+      cooldowns: u.weapons.map(w => w.cooldownLeft),
+    })),
+    projectiles: combat.projectiles.map(p => ({
+      position: p.position.toArray(),
+      velocity: p.velocity.toArray(),
+      damage: p.damage,
+      owner: encodeValue(p.owner, sim),
+      ttl: p.ttl,
+      color: p.color,
+    })),
+    visibility: sim.visibility.toJSON(), // explored obstacles and ghosts (saves without it start unexplored)
+    view,
+  };
+}
+
+// Replace the simulation's world with a snapshot; returns the snapshot's view (or null).
+// `tick` overrides the saved tick (replays restart their snapshot at 0).
+export function restoreWorld(sim, snap, { tick = snap?.tick ?? 0 } = {}) {
+  if (snap?.format !== SAVE_FORMAT) throw new Error('Not a save file');
+  if (snap.version !== SAVE_VERSION && snap.version !== 1) throw new Error(`Unsupported save version ${snap.version}`);
+  const { unitManager, obstacles, combat } = sim;
+  sim.reset(tick);
+
+  const entries = snap.obstacles.map(ob => (snap.version === 1 ? { ...ob, type: 'sphere', position: vec(ob.position) } : ob));
+  const added = entries.map(entry => addObstacleFromMap(obstacles, entry, { id: entry.id }));
+  entries.forEach((entry, i) => setMotionFromMap(obstacles, added[i], entry));
+  obstacles.setElapsed(snap.obstacleTime ?? 0);
+  // Spawn everything first so orders can reference any unit
+  const units = snap.units.map((s) => {
+    const opts = { faction: s.faction, id: s.id };
+    return s.type
+      ? unitManager.spawnUnitOfType(s.type, vec(s.position), { ...opts, radius: s.radius })
+      : unitManager.spawnUnit(vec(s.position), opts);
+  });
+  snap.units.forEach((s, i) => {
+    const u = units[i];
+    u.velocity.fromArray(s.velocity);
+    u.quaternion.fromArray(s.quaternion);
+    u.prevQuaternion.copy(u.quaternion);
+    u.hp = s.hp;
+    u.setSelected(!!s.selected);
+    u.target = s.target ? vec(s.target) : null;
+    u.attackTarget = s.attackTarget ? decodeValue(s.attackTarget, sim) : null;
+    u.order = s.order ? decodeFields(s.order, sim) : null;
+    u.orderQueue = s.orderQueue.map(o => decodeFields(o, sim));
+    u.route = s.route ? decodeFields(s.route, sim) : null; // older saves replan on the next tick
+    s.cooldowns.forEach((c, k) => { if (u.weapons[k]) u.weapons[k].cooldownLeft = c; });
+  });
+  unitManager.nextUnitId = Math.max(unitManager.nextUnitId, snap.nextUnitId ?? 1);
+  unitManager.formation = snap.formation ?? unitManager.formation;
+
+  combat.projectiles = snap.projectiles.map(p => ({
+    position: vec(p.position),
+    prevPosition: vec(p.position),
+    velocity: vec(p.velocity),
+    damage: p.damage,
+    owner: decodeValue(p.owner, sim),
+    ttl: p.ttl,
+    color: p.color,
+  }));
+  sim.visibility.restore(snap.visibility, tick * sim.fixedDt);
+  return snap.view ?? null;
+}
+
+// Plain-object fields that may hold vectors, vector lists, units, obstacles and nested plain objects
+// (orders, command payloads). References become ids; units that already left the world keep a dead
+// stand-in.
+export function encodeFields(obj, sim) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) out[k] = encodeValue(v, sim);
+  return out;
+}
+
+export function decodeFields(obj, sim) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) out[k] = decodeValue(v, sim);
+  return out;
+}
+
+function encodeValue(v, sim) {
+  if (v instanceof THREE.Vector3) return { $vec3: v.toArray() };
+  if (Array.isArray(v)) return v.map(x => encodeValue(x, sim));
+  if (v instanceof Unit) {
+    return v.dead || !sim.unitManager.units.includes(v)
+      ? { $unit: v.id, dead: true, faction: v.faction, position: v.position.toArray() }
+      : { $unit: v.id };
+  }
+  if (v && sim.obstacles.getAll().includes(v)) return { $obstacle: v.id };
+  if (v?.constructor === Object) return encodeFields(v, sim);
+  return v;
+}
+
+function decodeValue(v, sim) {
+  if (Array.isArray(v)) return v.map(x => decodeValue(x, sim));
+  if (v?.$vec3) return vec(v.$vec3);
+  if (v?.$unit !== undefined) {
+    if (!v.dead) return sim.unitManager.getUnitById(v.$unit);
+    // Enough of a unit for the checks that drop orders and targets on dead units
+    return { id: v.$unit, dead: true, faction: v.faction, position: vec(v.position), velocity: new THREE.Vector3() };
+  }
+  if (v?.$obstacle !== undefined) return sim.obstacles.getById(v.$obstacle);
+  if (v?.constructor === Object) return decodeFields(v, sim);
+  return v;
+}
+
+function vec(a) {
+  return new THREE.Vector3().fromArray(a);
+}
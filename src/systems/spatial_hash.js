@@ -0,0 +1,74 @@
+// Uniform 3D hash grid for range queries.
+// Items must expose `.position` (THREE.Vector3); queries test their *current* position, so an index
+// rebuilt once per frame stays correct for the small distances units move within that frame.
+// Items with a radius are inserted into every cell their bounding box overlaps.
+const OFFSET = 1 << 15; // keeps cell coordinates positive for key packing (3 x 16 bits < 2^53)
+const SPAN = 1 << 16;
+
+export class SpatialHash {
+  constructor(cellSize = 16) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // key -> [{ item, radius }]
+    this.size = 0;
+    this._multiCell = false; // true once any item spans several cells (queries then de-duplicate)
+  }
+
+  clear() {
+    this.cells.clear();
+    this.size = 0;
+    this._multiCell = false;
+  }
+
+  insert(item, radius = 0) {
+    const p = item.position;
+    const entry = { item, radius };
+    const x0 = this._cell(p.x - radius), x1 = this._cell(p.x + radius);
+    const y0 = this._cell(p.y - radius), y1 = this._cell(p.y + radius);
+    const z0 = this._cell(p.z - radius), z1 = this._cell(p.z + radius);
+    if (x0 !== x1 || y0 !== y1 || z0 !== z1) this._multiCell = true;
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+          const key = packKey(x, y, z);
+          let bucket = this.cells.get(key);
+          if (!bucket) { bucket = []; this.cells.set(key, bucket); }
+          bucket.push(entry);
+        }
+      }
+    }
+    this.size++;
+  }
+
+  // Items whose sphere (position, inserted radius) intersects the query sphere
+  query(center, radius, out = []) {
+    const x0 = this._cell(center.x - radius), x1 = this._cell(center.x + radius);
+    const y0 = this._cell(center.y - radius), y1 = this._cell(center.y + radius);
+    const z0 = this._cell(center.z - radius), z1 = this._cell(center.z + radius);
+    const seen = this._multiCell ? new Set() : null;
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+          const bucket = this.cells.get(packKey(x, y, z));
+          if (!bucket) continue;
+          for (const e of bucket) {
+            if (seen) {
+              if (seen.has(e)) continue;
+              seen.add(e);
+            }
+            const r = radius + e.radius;
+            if (e.item.position.distanceToSquared(center) <= r * r) out.push(e.item);
+          }
+        }
+      }
+    }
+    return out;
+  }
+
+  _cell(v) {
+    return Math.floor(v / this.cellSize);
+  }
+}
+
+function packKey(x, y, z) {
+  return ((x + OFFSET) * SPAN + (y + OFFSET)) * SPAN + (z + OFFSET);
+}
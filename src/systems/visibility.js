@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import { segmentHit, signedDistance } from './obstacle_shapes.js';
+import { SHIP_DEFS } from '../ships/ship_defs.js';
+
+// Fog of war: what each faction knows. Every ship sees other ships within its `sensor` radius
+// (SHIP_DEFS) unless an obstacle blocks the line between them; a faction sees what any of its ships
+// sees. Obstacles count as explored once any of the faction's ships has had their surface in sensor
+// range, and stay explored. Enemies that drop out of sight leave a ghost at their last known
+// position until they are seen again or a ship looks at that spot and finds it empty.
+// Refreshed every `interval` seconds of simulation rather than every tick. Knowledge only: no
+// other system reads it, so fog changes what players are shown, never how the battle plays out.
+export const DEFAULT_SENSOR = 120; // ships without a SHIP_DEFS entry
+const MAX_SENSOR = Math.max(DEFAULT_SENSOR, ...Object.values(SHIP_DEFS).map(d => d.sensor ?? 0));
+const INDEX_SLACK = 5; // the unit index is from the start of the tick; ships have moved a little since
+
+export class VisibilitySystem {
+  constructor(unitManager, obstacles, { interval = 0.2 } = {}) {
+    this.unitManager = unitManager;
+    this.obstacles = obstacles; // ObstacleManager; obstacles block line of sight
+    this.interval = interval;
+    this.visible = new Map(); // faction -> Set of other factions' units in sight
+    this.explored = new Map(); // faction -> Set of obstacle ids
+    this.ghosts = new Map(); // faction -> Map(unit id -> { id, type, faction, radius, position, time })
+    this._slot = -1; // refresh slot of the last update
+    // A unit destroyed in sight is known to be gone: no ghost
+    unitManager.onUnitRemoved((u) => {
+      for (const seen of this.visible.values()) seen.delete(u);
+    });
+  }
+
+  // Own units are always visible
+  isVisible(faction, unit) {
+    return unit.faction === faction || !!this.visible.get(faction)?.has(unit);
+  }
+
+  isExplored(faction, ob) {
+    return !!this.explored.get(faction)?.has(ob.id);
+  }
+
+  // Last known positions of enemies out of sight
+  ghostsOf(faction) {
+    return this.ghosts.get(faction)?.values() ?? [];
+  }
+
+  update(dt, time) {
+    const slot = Math.floor((time + 1e-9) / this.interval);
+    if (slot === this._slot) return;
+    this._slot = slot;
+    this.refresh(time);
+  }
+
+  // Recompute sight for every faction with ships, then update explored obstacles and ghosts
+  refresh(time = 0) {
+    const factions = new Set(this.unitManager.units.map(u => u.faction));
+    for (const f of factions) {
+      const before = this.visible.get(f) ?? new Set();
+      const now = this._inSight(f);
+      this.visible.set(f, now);
+      this._explore(f);
+      const ghosts = getOrCreate(this.ghosts, f, () => new Map());
+      for (const u of before) {
+        if (!now.has(u) && !u.dead) {
+          ghosts.set(u.id, { id: u.id, type: u.type, faction: u.faction, radius: u.radius, position: u.position.clone(), time });
+        }
+      }
+      for (const [id, g] of ghosts) {
+        const live = this.unitManager.getUnitById(id);
+        if ((live && now.has(live)) || this._covers(f, g.position, 0)) ghosts.delete(id);
+      }
+    }
+    // Factions with no ships left see nothing (what they explored stays explored)
+    for (const f of this.visible.keys()) if (!factions.has(f)) this.visible.set(f, new Set());
+  }
+
+  // True if nothing solid lies on the straight line between a and b
+  hasLineOfSight(a, b) {
+    const mid = _mid.copy(a).add(b).multiplyScalar(0.5);
+    for (const c of this.obstacles.queryObstacles(mid, a.distanceTo(b) / 2)) {
+      if (segmentHit(c, a, b) !== null) return false;
+    }
+    return true;
+  }
+
+  // Forget everything (world reset)
+  clear() {
+    this.visible.clear();
+    this.explored.clear();
+    this.ghosts.clear();
+    this._slot = -1;
+  }
+
+  // Explored obstacles and ghosts per faction; sight itself is recomputed on restore
+  toJSON() {
+    return {
+      explored: [...this.explored].map(([faction, ids]) => ({ faction, ids: [...ids] })),
+      ghosts: [...this.ghosts].map(([faction, ghosts]) => ({
+        faction,
+        ghosts: [...ghosts.values()].map(g => ({ ...g, position: g.position.toArray() })),
+      })),
+    };
+  }
+
+  // Restore a toJSON() snapshot into a rebuilt world (sight is recomputed, history is not)
+  restore(data, time = 0) {
+    this.clear();
+    for (const { faction, ids } of data?.explored ?? []) this.explored.set(faction, new Set(ids));
+    for (const { faction, ghosts } of data?.ghosts ?? []) {
+      this.ghosts.set(faction, new Map(ghosts.map(g => [g.id, { ...g, position: new THREE.Vector3().fromArray(g.position) }])));
+    }
+    this.unitManager.rebuildIndex(); // the units were just spawned
+    const factions = new Set(this.unitManager.units.map(u => u.faction));
+    for (const f of factions) this.visible.set(f, this._inSight(f));
+    this._slot = Math.floor((time + 1e-9) / this.interval);
+  }
+
+  // Other factions' units that some ship of faction f sees
+  _inSight(f) {
+    const seen = new Set();
+    for (const u of this.unitManager.units) {
+      if (u.faction !== f && !u.dead && this._covers(f, u.position, u.radius)) seen.add(u);
+    }
+    return seen;
+  }
+
+  // True if a ship of faction f has `point` (padded by `pad`) in sensor range and in line of sight
+  _covers(f, point, pad) {
+    for (const s of this.unitManager.queryUnits(point, MAX_SENSOR + pad + INDEX_SLACK)) {
+      if (s.faction !== f || s.dead) continue;
+      if (s.position.distanceTo(point) > (s.sensor ?? DEFAULT_SENSOR) + pad) continue;
+      if (this.hasLineOfSight(s.position, point)) return true;
+    }
+    return false;
+  }
+
+  // Mark obstacles whose surface (a field's bounding sphere) is within a ship's sensor range
+  _explore(f) {
+    const explored = getOrCreate(this.explored, f, () => new Set());
+    for (const ob of this.obstacles.getAll()) {
+      if (explored.has(ob.id)) continue;
+      for (const s of this.unitManager.queryUnits(ob.position, ob.boundingRadius + MAX_SENSOR + INDEX_SLACK)) {
+        if (s.faction !== f || s.dead) continue;
+        const d = ob.rocks ? s.position.distanceTo(ob.position) - ob.boundingRadius : signedDistance(ob, s.position);
+        if (d <= (s.sensor ?? DEFAULT_SENSOR)) {
+          explored.add(ob.id);
+          break;
+        }
+      }
+    }
+  }
+}
+
+const _mid = new THREE.Vector3();
+
+function getOrCreate(map, key, create) {
+  let v = map.get(key);
+  if (v === undefined) map.set(key, (v = create()));
+  return v;
+}
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import { CMD } from '../systems/command_bus.js';
+import { factionColor } from '../units/factions.js';
+
+// Overview of the whole map (map `halfSize`) drawn on a 2D canvas overlay: a top-down XZ plan with
+// +X to the right and -Z up, whatever way the camera faces. Obstacles, units as faction-colored
+// blips, the camera's view footprint on the cursor plane and the cursor are redrawn every frame.
+// A blip's stem shows height: up for ships above the Y=0 plane, down for ships below it.
+// Left click (or drag) pans the camera there; right click orders the selection to move there, at
+// the cursor plane's height (Shift queues), through the UI command bus like any other order.
+// With a FogRenderer it shows only what the fog lets through: seen units, explored obstacles, ghosts.
+const MAX_STEM = 12; // px, for a ship at +-halfSize
+const FOOTPRINT_REACH = 4; // footprint corners past the horizon are cut off at this many halfSizes
+
+export class Minimap {
+  constructor(canvas, { unitManager, obstacles, camera, controls, input, commandBus, fog = null, halfSize = 100 }) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.unitManager = unitManager;
+    this.obstacles = obstacles; // ObstacleManager
+    this.camera = camera;
+    this.controls = controls; // OrbitControls; panning moves camera and target together
+    this.input = input; // InputSystem: cursor and cursor plane height
+    this.commandBus = commandBus;
+    this.fog = fog;
+    this.halfSize = halfSize;
+    this._panning = false;
+
+    canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+    canvas.addEventListener('pointermove', (e) => { if (this._panning) this._panTo(this._eventWorld(e)); });
+    canvas.addEventListener('pointerup', (e) => {
+      this._panning = false;
+      canvas.releasePointerCapture?.(e.pointerId);
+    });
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+  }
+
+  setHalfSize(halfSize) {
+    this.halfSize = halfSize;
+  }
+
+  update() {
+    const { ctx, canvas, halfSize } = this;
+    const size = this._fitCanvas();
+    const at = (p) => worldToMinimap(p, halfSize, size);
+    const px = size / (2 * halfSize); // pixels per world unit
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    for (const ob of this.obstacles.getAll()) {
+      if (this.fog && !this.fog.canSeeObstacle(ob)) continue;
+      const p = at(ob.position);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, Math.max(1, ob.boundingRadius * px), 0, Math.PI * 2);
+      if (ob.rocks) {
+        ctx.setLineDash([2, 2]);
+        ctx.strokeStyle = css(ob.color ?? 0x8a8a8a, 0.8);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      } else {
+        ctx.fillStyle = css(ob.color ?? 0x444a66, 0.7);
+        ctx.fill();
+      }
+    }
+
+    for (const g of this.fog?.ghosts() ?? []) {
+      const p = at(g.position);
+      ctx.strokeStyle = css(factionColor(g.faction), 0.6);
+      ctx.strokeRect(p.x - 2, p.y - 2, 4, 4);
+    }
+
+    for (const u of this.unitManager.units) {
+      if (this.fog && !this.fog.canSee(u)) continue;
+      const p = at(u.position);
+      const stem = THREE.MathUtils.clamp(u.position.y / halfSize, -1, 1) * MAX_STEM;
+      ctx.strokeStyle = ctx.fillStyle = u.selected ? '#ffffff' : css(factionColor(u.faction));
+      if (Math.abs(stem) >= 1) {
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(p.x, p.y - stem);
+        ctx.stroke();
+      }
+      const r = Math.max(1.5, u.radius * px);
+      ctx.fillRect(p.x - r, p.y - stem - r, 2 * r, 2 * r);
+    }
+
+    const footprint = cameraFootprint(this.camera, this.input.cursorHeight, halfSize * FOOTPRINT_REACH);
+    ctx.beginPath();
+    footprint.map(at).forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.strokeStyle = 'rgba(215,225,236,0.8)';
+    ctx.stroke();
+
+    const c = at(this.input.cursor);
+    ctx.strokeStyle = '#00ff66';
+    ctx.beginPath();
+    ctx.moveTo(c.x - 4, c.y); ctx.lineTo(c.x + 4, c.y);
+    ctx.moveTo(c.x, c.y - 4); ctx.lineTo(c.x, c.y + 4);
+    ctx.stroke();
+  }
+
+  _onPointerDown(e) {
+    e.preventDefault();
+    const point = this._eventWorld(e);
+    if (e.button === 0) {
+      this._panning = true;
+      this.canvas.setPointerCapture?.(e.pointerId);
+      this._panTo(point);
+    } else if (e.button === 2) {
+      point.y = this.input.cursorHeight;
+      this.commandBus.emit(CMD.MOVE_SELECTED_TO, { target: point, queue: e.shiftKey });
+    }
+  }
+
+  // Move the camera and its orbit target sideways so the target is above/below `point`
+  _panTo(point) {
+    const delta = new THREE.Vector3(point.x - this.controls.target.x, 0, point.z - this.controls.target.z);
+    this.camera.position.add(delta);
+    this.controls.target.add(delta);
+    this.controls.update();
+  }
+
+  _eventWorld(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const size = Math.min(rect.width, rect.height);
+    return minimapToWorld(e.clientX - rect.left, e.clientY - rect.top, this.halfSize, size);
+  }
+
+  // Match the backing store to the displayed size (and pixel ratio); returns the size in CSS pixels
+  _fitCanvas() {
+    const { canvas, ctx } = this;
+    const size = Math.min(canvas.clientWidth, canvas.clientHeight) || canvas.width;
+    const ratio = window.devicePixelRatio || 1;
+    const backing = Math.round(size * ratio);
+    if (canvas.width !== backing || canvas.height !== backing) {
+      canvas.width = canvas.height = backing;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.lineWidth = 1;
+    return size;
+  }
+}
+
+// Minimap pixel ({ x, y }, origin top left) of a world point, for a map of `halfSize` on a square
+// minimap of `size` pixels
+export function worldToMinimap(p, halfSize, size) {
+  const scale = size / (2 * halfSize);
+  return { x: (p.x + halfSize) * scale, y: (p.z + halfSize) * scale };
+}
+
+// World point on the Y=0 plane under a minimap pixel
+export function minimapToWorld(x, y, halfSize, size) {
+  const scale = (2 * halfSize) / size;
+  return new THREE.Vector3(x * scale - halfSize, 0, y * scale - halfSize);
+}
+
+// Where the corners of the camera's view meet the horizontal plane at `height` (bottom left, bottom
+// right, top right, top left). Corner rays that miss the plane, or meet it further than `reach`,
+// are cut off at `reach` from the camera in the ray's horizontal direction.
+export function cameraFootprint(camera, height, reach) {
+  const origin = camera.position;
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => {
+    const dir = new THREE.Vector3(x, y, 0.5).unproject(camera).sub(origin).normalize();
+    const t = dir.y !== 0 ? (height - origin.y) / dir.y : -1;
+    if (t > 0 && t <= reach) return origin.clone().addScaledVector(dir, t).setY(height);
+    dir.y = 0;
+    if (dir.lengthSq() === 0) return new THREE.Vector3(origin.x, height, origin.z);
+    return origin.clone().addScaledVector(dir.normalize(), reach).setY(height);
+  });
+}
+
+function css(hex, alpha = 1) {
+  return `rgba(${(hex >> 16) & 255},${(hex >> 8) & 255},${hex & 255},${alpha})`;
+}
@@ -0,0 +1,120 @@
+import { SHIP_DEFS } from '../ships/ship_defs.js';
+
+// HUD panel for the current selection: one group per ship type (SHIP_DEFS order) with a role icon
+// and a count, and a card with an hp bar per unit. Clicking a group narrows the selection to that
+// type, clicking a card to that unit; Shift+click drops the group or unit from the selection
+// instead, and double-clicking a card centers the camera on the unit without changing the
+// selection (a card click only takes effect once the double-click window has passed). The groups
+// are rebuilt when the selection changes, the hp bars are updated every frame.
+
+// Role glyphs (SHIP_DEFS roles); units spawned without a type have no role
+export const ROLE_ICONS = {
+  fighter: '▲',
+  interceptor: '➤',
+  corvette: '◆',
+  frigate: '■',
+  gunship: '✖',
+  destroyer: '⬟',
+  cruiser: '⬢',
+  carrier: '▣',
+  capital: '★',
+  support: '✚',
+};
+const NO_ROLE_ICON = '●';
+const DOUBLE_CLICK_MS = 350; // as for control group double taps
+
+export class SelectionPanel {
+  constructor(root, unitManager, { input = null } = {}) {
+    this.root = root; // container element; hidden while nothing is selected
+    this.unitManager = unitManager;
+    this.input = input; // InputSystem, for centering the camera on a unit
+    this._key = null; // ids of the selection the groups were built for
+    this._bars = new Map(); // Unit -> hp bar element
+    this._pendingClick = null; // timer of a card click waiting out the double-click window
+  }
+
+  update() {
+    const selected = this.unitManager.getSelected();
+    const key = selected.map(u => u.id).join(',');
+    if (key !== this._key) {
+      this._key = key;
+      this._build(selected);
+    }
+    for (const [u, bar] of this._bars) {
+      const f = hpFraction(u);
+      bar.style.width = `${Math.round(f * 100)}%`;
+      bar.style.background = hpColor(f);
+    }
+  }
+
+  _build(selected) {
+    clearTimeout(this._pendingClick); // a waiting card click was meant for the old selection
+    this._bars.clear();
+    this.root.hidden = selected.length === 0;
+    const groups = groupSelection(selected).map(({ type, role, units }) => {
+      const header = el('div', 'sel-group-header', `${ROLE_ICONS[role] ?? NO_ROLE_ICON} ${type ?? 'Unit'} ×${units.length}`);
+      header.title = `${role ?? 'no role'}: click = select only these, Shift+click = deselect them`;
+      header.addEventListener('click', (e) => narrowSelection(selected, units, e.shiftKey ? 'remove' : 'keep'));
+      const cards = el('div', 'sel-cards');
+      for (const u of units) {
+        const bar = el('div', 'sel-hp-bar');
+        const card = el('div', 'sel-card');
+        card.append(el('span', 'sel-card-icon', ROLE_ICONS[u.role] ?? NO_ROLE_ICON), el('div', 'sel-hp', bar));
+        const describe = () => `#${u.id} ${u.type ?? 'Unit'}: ${Math.ceil(u.hp)} / ${u.maxHp} hp`;
+        card.title = describe();
+        card.addEventListener('mouseenter', () => { card.title = describe(); }); // hp changes after the build
+        card.addEventListener('click', (e) => {
+          const mode = e.shiftKey ? 'remove' : 'keep';
+          clearTimeout(this._pendingClick);
+          this._pendingClick = setTimeout(() => narrowSelection(selected, [u], mode), DOUBLE_CLICK_MS);
+        });
+        card.addEventListener('dblclick', () => {
+          clearTimeout(this._pendingClick);
+          this.input?.centerCameraOn([u]);
+        });
+        this._bars.set(u, bar);
+        cards.append(card);
+      }
+      const group = el('div', 'sel-group');
+      group.append(header, cards);
+      return group;
+    });
+    const title = el('div', 'sel-title', `Selected: ${selected.length}`);
+    this.root.replaceChildren(title, ...groups);
+  }
+}
+
+// Selected units by ship type, in SHIP_DEFS order (untyped units last); [{ type, role, units }]
+export function groupSelection(units) {
+  const order = Object.keys(SHIP_DEFS);
+  const rank = (type) => (type === null ? order.length : order.indexOf(type));
+  const groups = new Map();
+  for (const u of units) {
+    if (!groups.has(u.type)) groups.set(u.type, { type: u.type, role: u.role, units: [] });
+    groups.get(u.type).units.push(u);
+  }
+  return [...groups.values()].sort((a, b) => rank(a.type) - rank(b.type));
+}
+
+// Narrow a selection: 'keep' deselects every selected unit not in `units`, 'remove' deselects `units`
+export function narrowSelection(selected, units, mode = 'keep') {
+  const set = new Set(units);
+  for (const u of selected) u.setSelected(mode === 'keep' ? set.has(u) : !set.has(u));
+}
+
+export function hpFraction(u) {
+  return u.maxHp > 0 ? Math.max(0, Math.min(1, u.hp / u.maxHp)) : 0;
+}
+
+// Green when healthy, through amber, to red
+function hpColor(f) {
+  return f > 0.6 ? '#48c774' : f > 0.3 ? '#f0b429' : '#ff5566';
+}
+
+function el(tag, className, content = null) {
+  const node = document.createElement(tag);
+  node.className = className;
+  if (typeof content === 'string') node.textContent = content;
+  else if (content) node.append(content);
+  return node;
+}
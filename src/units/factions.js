@@ -0,0 +1,14 @@
+// Faction registry. Unit.faction holds an index into FACTIONS.
+// The local player always controls PLAYER_FACTION; everyone else is hostile (see combat.isHostile).
+export const FACTIONS = [
+  { id: 0, name: 'Azure',   color: 0x3399ff },
+  { id: 1, name: 'Crimson', color: 0xff4433 },
+  { id: 2, name: 'Verdant', color: 0x44dd66 },
+  { id: 3, name: 'Amber',   color: 0xffbb33 },
+];
+
+export const PLAYER_FACTION = 0;
+
+export function factionColor(id) {
+  return (FACTIONS[id] ?? FACTIONS[0]).color;
+}
@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+
+// Group formations for move-type orders.
+// Slots are generated in a local frame (x = right, y = up, z = forward), centered on the commanded
+// point and rotated so +z faces the move direction. Bigger hulls take the most central slots.
+export const FORMATION = Object.freeze({
+  LINE: 'line', // side by side, perpendicular to travel
+  WEDGE: 'wedge', // filled triangle, tip forward
+  WALL: 'wall', // square grid facing the travel direction (right/up plane)
+  COLUMN: 'column', // single file along travel
+  SPHERE: 'sphere', // packed ball
+  DISC: 'disc', // flat sunflower spread in the XZ plane (legacy)
+  PRESERVE: 'preserve', // keep current relative positions
+});
+
+// Cycling order for the formation hotkey
+export const FORMATION_LIST = [
+  FORMATION.SPHERE, FORMATION.WEDGE, FORMATION.LINE, FORMATION.WALL,
+  FORMATION.COLUMN, FORMATION.DISC, FORMATION.PRESERVE,
+];
+
+// Hull size class per SHIP_DEFS role; larger classes get more central slots
+const ROLE_RANK = {
+  capital: 9, carrier: 8, cruiser: 7, destroyer: 6, support: 5,
+  gunship: 4, frigate: 4, corvette: 3, interceptor: 2, fighter: 1,
+};
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Per-unit world targets (same order as `units`) for a group ordered to `target`.
+// `from` is where the group starts (defaults to its centroid) and sets the facing.
+export function computeFormationTargets(units, target, { type = FORMATION.SPHERE, from = null } = {}) {
+  const n = units.length;
+  if (n === 0) return [];
+  const centroid = from ? from.clone() : groupCentroid(units);
+
+  if (type === FORMATION.PRESERVE) {
+    const c = groupCentroid(units);
+    return units.map(u => u.position.clone().sub(c).add(target));
+  }
+
+  const radii = units.map(u => u.radius ?? 0.8);
+  const avgRadius = radii.reduce((s, r) => s + r, 0) / n;
+  const maxRadius = Math.max(...radii);
+  // Wide enough that the biggest hull fits next to an average one
+  const spacing = Math.max(1.2, 2 * avgRadius + 0.4, maxRadius + avgRadius + 0.4);
+
+  const local = formationSlots(type, n, spacing);
+  const basis = facingBasis(target.clone().sub(centroid));
+  const slots = local.map(s => target.clone()
+    .addScaledVector(basis.right, s.x)
+    .addScaledVector(basis.up, s.y)
+    .addScaledVector(basis.forward, s.z));
+  return assignSlots(units, slots, local);
+}
+
+// Local slot offsets for a formation, centered on the origin
+export function formationSlots(type, n, spacing) {
+  let slots;
+  switch (type) {
+    case FORMATION.LINE:
+      slots = range(n).map(i => ({ x: (i - (n - 1) / 2) * spacing, y: 0, z: 0 }));
+      break;
+    case FORMATION.COLUMN:
+      slots = range(n).map(i => ({ x: 0, y: 0, z: -i * spacing }));
+      break;
+    case FORMATION.WEDGE: {
+      // Row r holds r + 1 ships, each row one spacing further back and wider
+      slots = [];
+      for (let row = 0; slots.length < n; row++) {
+        for (let k = 0; k <= row && slots.length < n; k++) {
+          slots.push({ x: (k - row / 2) * spacing, y: 0, z: -row * spacing });
+        }
+      }
+      break;
+    }
+    case FORMATION.WALL: {
+      const cols = Math.ceil(Math.sqrt(n));
+      const rows = Math.ceil(n / cols);
+      slots = range(n).map(i => ({
+        x: ((i % cols) - (cols - 1) / 2) * spacing,
+        y: ((rows - 1) / 2 - Math.floor(i / cols)) * spacing,
+        z: 0,
+      }));
+      break;
+    }
+    case FORMATION.SPHERE: {
+      // Cubic lattice points closest to the center form a packed ball
+      const k = Math.ceil(Math.cbrt(n)) + 1;
+      const pts = [];
+      for (let x = -k; x <= k; x++) {
+        for (let y = -k; y <= k; y++) {
+          for (let z = -k; z <= k; z++) pts.push({ x: x * spacing, y: y * spacing, z: z * spacing });
+        }
+      }
+      pts.sort((a, b) => lenSq(a) - lenSq(b));
+      slots = pts.slice(0, n);
+      break;
+    }
+    case FORMATION.DISC:
+    default:
+      slots = sunflowerOffsets(n, spacing).map(o => ({ x: o.x, y: 0, z: o.z }));
+      break;
+  }
+  return centered(slots);
+}
+
+// Golden-angle sunflower distribution in XZ plane with approximate spacing
+export function sunflowerOffsets(n, spacing) {
+  const res = [];
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  // pick scale so nearest-neighbor spacing is around the requested spacing
+  const c = spacing / Math.sqrt(Math.PI); // heuristic scale
+  for (let k = 0; k < n; k++) {
+    const r = c * Math.sqrt(k + 0.5); // +0.5 to avoid zero overlap at center
+    const theta = k * goldenAngle;
+    res.push({ x: r * Math.cos(theta), z: r * Math.sin(theta) });
+  }
+  return res;
+}
+
+// Orthonormal frame with +forward along `dir`; falls back to world +Z for a zero direction
+export function facingBasis(dir) {
+  const forward = dir.lengthSq() > 1e-6 ? dir.clone().normalize() : new THREE.Vector3(0, 0, 1);
+  // Straight up/down travel: pick any horizontal right axis
+  const ref = Math.abs(forward.dot(WORLD_UP)) > 0.999 ? new THREE.Vector3(1, 0, 0) : WORLD_UP;
+  const right = new THREE.Vector3().crossVectors(ref, forward).normalize();
+  const up = new THREE.Vector3().crossVectors(forward, right).normalize();
+  return { right, up, forward };
+}
+
+export function groupCentroid(units) {
+  const c = new THREE.Vector3();
+  for (const u of units) c.add(u.position);
+  return c.divideScalar(Math.max(1, units.length));
+}
+
+// Biggest size classes take the most central slots; within a class, each unit takes the nearest
+// free slot so ships do not cross paths more than necessary.
+function assignSlots(units, slots, local) {
+  const byCentrality = range(slots.length).sort((a, b) => lenSq(local[a]) - lenSq(local[b]));
+  const order = range(units.length).sort((a, b) => rankOf(units[b]) - rankOf(units[a]));
+  const res = new Array(units.length);
+  let next = 0;
+  while (next < order.length) {
+    const rank = rankOf(units[order[next]]);
+    let end = next;
+    while (end < order.length && rankOf(units[order[end]]) === rank) end++;
+    const free = byCentrality.slice(next, end);
+    for (let i = next; i < end; i++) {
+      const u = units[order[i]];
+      let bestK = 0;
+      for (let k = 1; k < free.length; k++) {
+        if (slots[free[k]].distanceToSquared(u.position) < slots[free[bestK]].distanceToSquared(u.position)) bestK = k;
+      }
+      res[order[i]] = slots[free[bestK]];
+      free.splice(bestK, 1);
+    }
+    next = end;
+  }
+  return res;
+}
+
+function rankOf(u) {
+  return (ROLE_RANK[u.role] ?? 0) * 1000 + (u.radius ?? 0.8);
+}
+
+function centered(slots) {
+  const c = { x: 0, y: 0, z: 0 };
+  for (const s of slots) { c.x += s.x; c.y += s.y; c.z += s.z; }
+  const n = Math.max(1, slots.length);
+  return slots.map(s => ({ x: s.x - c.x / n, y: s.y - c.y / n, z: s.z - c.z / n }));
+}
+
+function range(n) {
+  return Array.from({ length: n }, (_, i) => i);
+}
+
+function lenSq(p) {
+  return p.x * p.x + p.y * p.y + p.z * p.z;
+}
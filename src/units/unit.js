@@ -1,11 +1,47 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import * as THREE from 'three';
+import { createWeaponMounts, maxWeaponRange } from '../ships/weapons.js';
+import { PLAYER_FACTION } from './factions.js';
+import { isHostile, nearestHostile, nearestHostileNear } from '../systems/combat.js';
+import { DEFAULT_SENSOR } from '../systems/visibility.js';
+import { boundingRadius, closestOnSegment, featureRadius, signedDistance, surfaceNormal } from '../systems/obstacle_shapes.js';
 
 let NEXT_ID = 1;
 
+// Order types a unit can carry in `unit.order`
+export const ORDER = Object.freeze({
+  MOVE: 'move',
+  ATTACK_MOVE: 'attackMove', // move, but engage hostiles met on the way
+  ATTACK: 'attack', // chase and engage a specific unit
+  HOLD: 'hold', // stay put, fire at anything in range, never chase
+  PATROL: 'patrol', // cycle through points, engaging hostiles met on the way
+  ORBIT: 'orbit', // circle a point or obstacle at a radius and height offset
+  FOLLOW: 'follow', // keep station on another unit, never engage
+  ESCORT: 'escort', // keep station on another unit, engage hostiles threatening it
+  GUARD: 'guard', // stay near another unit, chase hostiles around it within a leash
+});
+
+// How move and attack-move orders find their way to the point
+export const NAV = Object.freeze({
+  ROUTE: 'route', // each ship plans its own route (pathfinding.js)
+  FLOW: 'flow', // ships sample a flow field shared by the group (flow_field.js)
+});
+
+const STATION_ORDERS = new Set([ORDER.FOLLOW, ORDER.ESCORT, ORDER.GUARD]);
+// Orders that fly to fixed points, along routes from the global planner (see pathfinding.js)
+const ROUTED_ORDERS = new Set([ORDER.MOVE, ORDER.ATTACK_MOVE, ORDER.PATROL]);
+const ROUTE_MARGIN = 2; // planned clearance beyond the avoidance margin, so routes do not graze surfaces
+const REPLAN_SECONDS = 2; // replan when the next waypoint gets no closer for this long
+const FLOW_HANDOFF = 40; // this close to its own point (or the field's goal) a ship leaves the field
+const FLOW_SLOT_AGREE = 0.8; // cosine within which a ship follows the field read at its slot's offset
+
 export class Unit {
   constructor(position = new THREE.Vector3(), opts = {}) {
-    this.id = NEXT_ID++;
+    this.id = opts.id ?? NEXT_ID++; // UnitManager hands out per-simulation ids so replays line up
+    this.type = opts.type ?? null; // SHIP_DEFS key when spawned from the ship library
+    this.role = opts.role ?? null; // SHIP_DEFS role (fighter, capital, ...)
+    this.faction = opts.faction ?? PLAYER_FACTION; // index into FACTIONS
     this.position = position.clone();
+    this.prevPosition = position.clone(); // position at the start of the last tick (for interpolation)
     this.velocity = new THREE.Vector3();
     this.target = null; // THREE.Vector3 or null
     this.selected = false;
@@ -14,6 +50,7 @@ export class Unit {
     this.maxAccel = opts.maxAccel ?? 15; // units/s^2
     this.maxTurnRate = opts.maxTurnRate ?? 2.0; // rad/s
     this.radius = opts.radius ?? 0.8; // separation radius
+    this.sensor = opts.sensor ?? DEFAULT_SENSOR; // fog of war: sees other ships within this range (line of sight permitting)
     this.arriveRadius = 6; // start slowing down when within this distance
     this.stopRadius = 0.6; // consider arrived when within this distance (<= unit radius)
     this.idleDamping = 0.9; // velocity damping when idle to kill jitter
@@ -21,81 +58,425 @@ export class Unit {
     // Basic health model
     this.maxHp = opts.maxHp ?? 100;
     this.hp = this.maxHp;
+    this.dead = false;
+
+    // Combat: weapon mounts with cooldown state; attackTarget is the unit currently engaged
+    this.weapons = createWeaponMounts(opts.weapons);
+    this.weaponRange = maxWeaponRange(this.weapons);
+    this.attackTarget = null;
+    this.acquireRange = Math.max(30, this.weaponRange * 1.5); // attack-move scan radius
+    this.standoff = 0.7; // fraction of weapon range to keep from an engaged enemy
+
+    // Current order (see ORDER); `target` is the steering goal derived from it each frame
+    this.order = null;
+    this.orderQueue = []; // orders to run after the current one (shift-queued)
+    this._engaging = false; // true while an order is chasing attackTarget instead of its point
+    this._targetVelocity = null; // velocity of a moving goal (station keeping), fed forward into arrival
+    this.guardLeash = 60; // max chase distance from a guarded unit
+    // Planned waypoints to the order's current point: { goal, points, index, best, stalled }
+    this.route = null;
+    this._passing = false; // steering through an intermediate waypoint (no slowing down)
+    this._flowDir = null; // heading sampled from the order's flow field this tick
 
     // Obstacle avoidance params
-    this.avoidLookahead = 1.2; // seconds of lookahead based on current speed
+    this.avoidLookahead = 2.5; // seconds of lookahead based on current speed
     this.avoidMargin = 0.6; // extra radius around obstacles beyond unit radius
-    this.maxAvoidForce = 30; // cap avoidance steering
-    this.avoidWeight = 1.2; // weight when adding to steering
+    this.maxAvoidForce = 45; // cap avoidance steering
+    this.avoidWeight = 1.5; // weight when adding to steering
 
-    // Visual
-    if (opts.mesh) {
-      this.mesh = opts.mesh;
-    } else {
-      const geo = new THREE.SphereGeometry(0.6, 16, 12);
-      const mat = new THREE.MeshStandardMaterial({ color: 0x99c1ff, metalness: 0.2, roughness: 0.7 });
-      this.mesh = new THREE.Mesh(geo, mat);
-    }
-    this.mesh.castShadow = false;
-    this.mesh.receiveShadow = false;
-    this.mesh.position.copy(this.position);
-    this.mesh.matrixAutoUpdate = true;
+    // Orientation (+Z forward); meshes are owned by UnitRenderer and follow these
+    this.quaternion = new THREE.Quaternion();
+    this.prevQuaternion = new THREE.Quaternion(); // orientation at the start of the last tick
   }
 
+  // Selection is a flag only; UnitRenderer draws the highlight
   setSelected(sel) {
     this.selected = sel;
-    const applyMat = (mat) => {
-      if (!mat) return;
-      const applyOne = (m) => {
-        if (!m) return;
-        // Preserve originals once
-        const ud = (m.userData = m.userData || {});
-        if (ud.__origEmissive === undefined && m.emissive) {
-          ud.__origEmissive = m.emissive.clone();
-        }
-        if (ud.__origEmissiveIntensity === undefined && m.emissiveIntensity !== undefined) {
-          ud.__origEmissiveIntensity = m.emissiveIntensity;
-        }
-        // Highlight by emissive only, do not touch base color/texture
-        if (m.emissive) {
-          if (sel) {
-            m.emissive.setHex(0x3355ff);
-            if (m.emissiveIntensity !== undefined) m.emissiveIntensity = Math.max(1.0, m.emissiveIntensity || 1.0);
-          } else {
-            if (ud.__origEmissive) m.emissive.copy(ud.__origEmissive);
-            if (ud.__origEmissiveIntensity !== undefined && m.emissiveIntensity !== undefined) m.emissiveIntensity = ud.__origEmissiveIntensity;
-          }
-        }
-      };
-      if (Array.isArray(mat)) mat.forEach(applyOne); else applyOne(mat);
-    };
-    if (this.mesh.isMesh) {
-      applyMat(this.mesh.material);
-    } else if (this.mesh && this.mesh.traverse) {
-      this.mesh.traverse((o) => { if (o.isMesh) applyMat(o.material); });
-    }
+  }
+
+  // Apply damage; returns true if this hit destroyed the unit
+  takeDamage(amount) {
+    if (this.dead) return false;
+    this.hp = Math.max(0, this.hp - amount);
+    if (this.hp <= 0) this.dead = true;
+    return this.dead;
+  }
+
+  // Radius around the unit that covers the avoidance lookahead probe (see avoidObstacles)
+  avoidQueryRadius() {
+    const lookDist = Math.max(2.0, this.velocity.length() * this.avoidLookahead + this.maxSpeed * 0.25);
+    return lookDist + this.radius + this.avoidMargin;
+  }
+
+  // World-space forward (+Z of the unit frame)
+  getForward(out = new THREE.Vector3()) {
+    return out.set(0, 0, 1).applyQuaternion(this.quaternion);
   }
 
   setTarget(vec3) {
     this.target = vec3 ? vec3.clone() : null;
   }
 
-  update(dt, neighbors = [], obstacles = []) {
+  // --- Orders ---
+  // With { queue: true } an order is appended after the current one instead of replacing it.
+  // Moves take an optional shared flow field, { goal, min, max, clearance } (see
+  // UnitManager.flowFieldFor), to follow until close to `point`; otherwise they plan a route.
+  moveTo(point, { queue = false, flow = null } = {}) {
+    this._issue(this._pointOrder(ORDER.MOVE, point, flow), queue);
+  }
+
+  attackMove(point, { queue = false, flow = null } = {}) {
+    this._issue(this._pointOrder(ORDER.ATTACK_MOVE, point, flow), queue);
+  }
+
+  _pointOrder(type, point, flow) {
+    return { type, point: point.clone(), ...(flow && { nav: NAV.FLOW, flow }) };
+  }
+
+  attack(unit, { queue = false } = {}) {
+    if (!unit || unit.dead || !isHostile(this, unit)) return;
+    this._issue({ type: ORDER.ATTACK, unit }, queue);
+  }
+
+  hold() {
+    this._issue({ type: ORDER.HOLD }, false);
+  }
+
+  // Patrol between where the order starts and `point`; queueing onto a running patrol extends its route
+  patrol(point, { queue = false } = {}) {
+    if (queue && this.order?.type === ORDER.PATROL && this.orderQueue.length === 0) {
+      this.order.points.push(point.clone());
+      return;
+    }
+    this._issue({ type: ORDER.PATROL, points: [point.clone()], index: 0 }, queue);
+  }
+
+  // Circle `center` (or a live obstacle's position) at `radius`, `height` above/below the center
+  orbit({ center, obstacle = null, radius, height = 0 }, { queue = false } = {}) {
+    this._issue({ type: ORDER.ORBIT, center: center.clone(), obstacle, radius, height, dir: 1 }, queue);
+  }
+
+  stop() {
+    this.order = null;
+    this.orderQueue.length = 0;
+    this.target = null;
+    this.attackTarget = null;
+    this._engaging = false;
+    this.route = null;
+  }
+
+  // Keep station on `leader` at the offset we have when the order starts
+  follow(leader, { queue = false } = {}) {
+    this._issueStation(ORDER.FOLLOW, leader, queue);
+  }
+
+  escort(leader, { queue = false } = {}) {
+    if (leader && isHostile(this, leader)) return;
+    this._issueStation(ORDER.ESCORT, leader, queue);
+  }
+
+  guard(leader, { queue = false } = {}) {
+    if (leader && isHostile(this, leader)) return;
+    this._issueStation(ORDER.GUARD, leader, queue);
+  }
+
+  _issueStation(type, leader, queue) {
+    if (!leader || leader === this || leader.dead) return;
+    this._issue({ type, unit: leader, offset: null }, queue);
+  }
+
+  _issue(order, queue) {
+    if (queue && this.order) {
+      this.orderQueue.push(order);
+      return;
+    }
+    this.orderQueue.length = 0;
+    this._startOrder(order);
+  }
+
+  _startOrder(order) {
+    this.order = order;
+    this.target = null;
+    this.route = null;
+    switch (order.type) {
+      case ORDER.MOVE:
+        this.attackTarget = null;
+        this.setTarget(order.point);
+        break;
+      case ORDER.ATTACK_MOVE:
+        this.setTarget(order.point);
+        break;
+      case ORDER.ATTACK:
+        this.attackTarget = order.unit;
+        break;
+      case ORDER.HOLD:
+        order.point = this.position.clone();
+        break;
+      case ORDER.PATROL:
+        // The route starts where the unit is when the order begins
+        order.points.unshift(this.position.clone());
+        order.index = 1;
+        break;
+      case ORDER.FOLLOW:
+      case ORDER.ESCORT:
+      case ORDER.GUARD:
+        order.offset = this._stationOffset(order);
+        break;
+    }
+  }
+
+  // Offset to the leader, clamped to a sensible station distance. Follow/escort offsets live in the
+  // leader's local frame so the group turns with it; guard offsets stay in world space.
+  _stationOffset(order) {
+    const leader = order.unit;
+    const off = this.position.clone().sub(leader.position);
+    const minD = leader.radius + this.radius + 1.5;
+    const maxD = Math.max(minD + 4, leader.radius * 4 + this.radius * 6);
+    let d = off.length();
+    if (d < 1e-3) { off.set(1, 0, 0); d = 1; }
+    off.multiplyScalar(THREE.MathUtils.clamp(d, minD, maxD) / d);
+    if (order.type !== ORDER.GUARD) off.applyQuaternion(leader.quaternion.clone().invert());
+    return off;
+  }
+
+  _stationPoint(order) {
+    const off = order.offset.clone();
+    if (order.type !== ORDER.GUARD) off.applyQuaternion(order.unit.quaternion);
+    return off.add(order.unit.position);
+  }
+
+  // Finish the current order and start the next queued one (if any)
+  _nextOrder() {
+    this.order = null;
+    this.target = null;
+    this.route = null;
+    const next = this.orderQueue.shift();
+    if (next) this._startOrder(next);
+  }
+
+  // Points of the current and queued orders, in execution order (for path gizmos); the current
+  // leg starts with the waypoints of its planned route
+  getWaypoints() {
+    const pts = this.route ? this.route.points.slice(this.route.index, -1) : [];
+    for (const o of [this.order, ...this.orderQueue]) {
+      if (!o) continue;
+      if (o.type === ORDER.ATTACK) pts.push(o.unit.position);
+      else if (o.type === ORDER.PATROL) pts.push(...o.points.slice(o.index), ...o.points.slice(0, o.index + 1));
+      else if (o.type === ORDER.ORBIT) pts.push(this._orbitCenter(o));
+      else if (STATION_ORDERS.has(o.type)) pts.push(o.unit.position);
+      else if (o.type !== ORDER.HOLD) pts.push(o.point);
+    }
+    return pts;
+  }
+
+  // Derive the steering target for this frame from the current order.
+  // contacts(center, range) lists units near a point (used for hostile scans).
+  _updateOrder(contacts) {
+    const o = this.order;
+    this._engaging = false;
+    this._targetVelocity = null;
+    if (!o) return;
+    if (STATION_ORDERS.has(o.type) && o.unit.dead) {
+      this.attackTarget = null;
+      this._nextOrder();
+      if (this.order) this._updateOrder(contacts);
+      return;
+    }
+    switch (o.type) {
+      case ORDER.MOVE:
+        this.target = o.point;
+        break;
+      case ORDER.ATTACK_MOVE:
+        this._engageOrGo(o.point, contacts);
+        break;
+      case ORDER.PATROL:
+        this._engageOrGo(o.points[o.index], contacts);
+        break;
+      case ORDER.ORBIT:
+        this.target = this._orbitPoint(o);
+        // Keep up with a moving body
+        if (o.obstacle?.velocity?.lengthSq() > 0.0025) this._targetVelocity = o.obstacle.velocity;
+        break;
+      case ORDER.FOLLOW:
+      case ORDER.ESCORT:
+      case ORDER.GUARD:
+        this._updateStation(o, contacts);
+        break;
+      case ORDER.ATTACK:
+        if (o.unit.dead) {
+          this.attackTarget = null;
+          this._nextOrder();
+          if (this.order) this._updateOrder(contacts);
+          break;
+        }
+        this.attackTarget = o.unit;
+        this._engaging = true;
+        this.target = this._standoffPoint(o.unit);
+        break;
+      case ORDER.HOLD:
+        // Only return to the anchor when pushed well away from it
+        this.target = this.position.distanceTo(o.point) > this.radius * 2 ? o.point : null;
+        break;
+    }
+  }
+
+  // Chase a hostile inside acquireRange if there is one, otherwise steer to `point`
+  _engageOrGo(point, contacts) {
+    const enemy = this.attackTarget && !this.attackTarget.dead
+      ? this.attackTarget
+      : nearestHostile(this, contacts(this.position, this.acquireRange), this.acquireRange);
+    if (enemy && this.position.distanceTo(enemy.position) <= this.acquireRange) {
+      this.attackTarget = enemy;
+      this._engaging = true;
+      this.target = this._standoffPoint(enemy);
+    } else {
+      this.target = point;
+    }
+  }
+
+  _updateStation(o, contacts) {
+    const leader = o.unit;
+    let threat = null;
+    if (o.type === ORDER.ESCORT) {
+      // Screen the escorted ship: only hostiles that could already shoot it
+      const range = Math.max(this.weaponRange, leader.weaponRange);
+      threat = nearestHostileNear(this, leader.position, contacts(leader.position, range), range);
+    } else if (o.type === ORDER.GUARD) {
+      threat = nearestHostileNear(this, leader.position, contacts(leader.position, this.acquireRange), this.acquireRange);
+      if (threat && threat.position.distanceTo(leader.position) > this.guardLeash) threat = null;
+    }
+    if (threat) {
+      this.attackTarget = threat;
+      this._engaging = true;
+      this.target = this._standoffPoint(threat);
+      return;
+    }
+    this.target = this._stationPoint(o);
+    if (leader.velocity.lengthSq() > 0.0025) this._targetVelocity = leader.velocity;
+  }
+
+  _orbitCenter(o) {
+    return o.obstacle ? o.obstacle.position : o.center;
+  }
+
+  // Moving goal on the orbit circle, a little ahead of our current angle so we never "arrive"
+  _orbitPoint(o) {
+    const c = this._orbitCenter(o);
+    const dx = this.position.x - c.x;
+    const dz = this.position.z - c.z;
+    const angle = Math.atan2(dz, dx);
+    const leadArc = Math.max(this.arriveRadius * 1.5, this.maxSpeed);
+    const next = angle + o.dir * Math.min(Math.PI / 4, leadArc / Math.max(1e-3, o.radius));
+    return new THREE.Vector3(c.x + Math.cos(next) * o.radius, c.y + o.height, c.z + Math.sin(next) * o.radius);
+  }
+
+  // Point between us and the enemy at standoff distance, so we close to weapon range but no further
+  _standoffPoint(enemy) {
+    const range = Math.max(this.radius + enemy.radius, this.weaponRange * this.standoff);
+    const away = this.position.clone().sub(enemy.position);
+    const d = away.length();
+    if (d <= range) return this.position.clone();
+    return enemy.position.clone().addScaledVector(away.divideScalar(d), range);
+  }
+
+  // Swap a point goal in `target` for the next waypoint of a planned route to it. The route is
+  // planned when the goal changes and again when the ship stops closing on its next waypoint
+  // (pushed off course, or wedged against something the planner could not foresee).
+  _followRoute(planner, dt) {
+    const o = this.order;
+    const goal = this.target;
+    if (!goal || !o || this._engaging || !ROUTED_ORDERS.has(o.type)) {
+      this.route = null;
+      return;
+    }
+    let r = this.route;
+    if (!r || !r.goal.equals(goal)) r = this.route = this._planRoute(planner, goal);
+    // The last point is the goal itself, which arrival handles
+    while (r.index < r.points.length - 1 && this.position.distanceTo(r.points[r.index]) <= this.arriveRadius) {
+      r.index++;
+      r.best = this.position.distanceTo(r.points[r.index]);
+      r.stalled = 0;
+    }
+    const d = this.position.distanceTo(r.points[r.index]);
+    if (d < r.best - 0.5) {
+      r.best = d;
+      r.stalled = 0;
+    } else if (d > this.arriveRadius && (r.stalled += dt) >= REPLAN_SECONDS) {
+      r = this.route = this._planRoute(planner, goal);
+    }
+    this.target = r.points[r.index];
+    this._passing = r.index < r.points.length - 1;
+  }
+
+  // Take this tick's heading from the order's flow field. Close to the end, or if pushed off the
+  // field, the order switches to an ordinary route for the last stretch. The field leads to the
+  // group's goal, so the ship reads it shifted by its own slot's offset from that goal, which keeps
+  // the group's spread; where that heading disagrees with the one at the ship (an obstacle between
+  // the two points) the ship's own wins.
+  _followFlow(manager) {
+    const o = this.order;
+    if (this._engaging || !this.target) return;
+    const near = Math.min(this.position.distanceTo(this.target), this.position.distanceTo(o.flow.goal)) <= FLOW_HANDOFF;
+    this._flowDir = null;
+    if (!near) {
+      const field = manager.flowFieldFor(o.flow);
+      const own = field.sample(this.position);
+      const slot = own && field.sample(this.position.clone().sub(o.point).add(o.flow.goal));
+      this._flowDir = slot && slot.dot(own) >= FLOW_SLOT_AGREE ? slot : own;
+    }
+    if (!this._flowDir) o.nav = NAV.ROUTE;
+  }
+
+  // Hard surface constraint after integrating; returns the clearance steering left (a method, so
+  // scenario tests can watch it without every unit keeping the value)
+  _stayOutOfObstacles(obstacles) {
+    return resolveObstaclePenetration(this, obstacles);
+  }
+
+  _planRoute(planner, goal) {
+    const points = planner.findPath(this.position, goal, this.radius + this.avoidMargin + ROUTE_MARGIN);
+    return { goal: goal.clone(), points, index: 0, best: this.position.distanceTo(points[0]), stalled: 0 };
+  }
+
+  _onArrived() {
+    this.target = null;
+    const o = this.order;
+    if (!o || this._engaging) return;
+    if (o.type === ORDER.MOVE || o.type === ORDER.ATTACK_MOVE) this._nextOrder();
+    else if (o.type === ORDER.PATROL) o.index = (o.index + 1) % o.points.length;
+  }
+
+  // neighbors: nearby units for separation; obstacles: obstacles within avoidQueryRadius();
+  // index: optional UnitManager for wider range queries (falls back to scanning `neighbors`)
+  update(dt, neighbors = [], obstacles = [], index = null) {
     const steer = new THREE.Vector3();
+    this.prevPosition.copy(this.position);
+    this.prevQuaternion.copy(this.quaternion);
+    this._updateOrder(index ? (c, r) => index.queryUnits(c, r) : () => neighbors);
+    this._passing = false;
+    this._flowDir = null;
+    if (index?.pathfinder) {
+      if (this.order?.nav === NAV.FLOW) this._followFlow(index);
+      if (!this._flowDir) this._followRoute(index.pathfinder, dt);
+    }
 
     // Arrival/seek
     if (this.target) {
       const toTarget = this.target.clone().sub(this.position);
       const d = toTarget.length();
-      if (d <= this.stopRadius) {
+      if (d <= this.stopRadius && !this._targetVelocity) {
         // Arrived: stop and clear target
         this.position.copy(this.position); // no snap to avoid overlap
         this.velocity.set(0, 0, 0);
-        this.target = null;
+        this._onArrived();
       } else {
         // Slow down when close
-        const desiredSpeed = d < this.arriveRadius ? (this.maxSpeed * (d / this.arriveRadius)) : this.maxSpeed;
-        const desired = toTarget.multiplyScalar(1 / d).multiplyScalar(desiredSpeed);
+        const desiredSpeed = d < this.arriveRadius && !this._passing ? (this.maxSpeed * (d / this.arriveRadius)) : this.maxSpeed;
+        const desired = this._flowDir
+          ? this._flowDir.clone().multiplyScalar(this.maxSpeed)
+          : toTarget.multiplyScalar(1 / Math.max(d, 1e-6)).multiplyScalar(desiredSpeed);
+        // Match a moving goal's velocity so station keeping does not lag behind
+        if (this._targetVelocity) desired.add(this._targetVelocity).clampLength(0, this.maxSpeed);
         const arriveSteer = desired.sub(this.velocity);
         // cap acceleration
         const mag = arriveSteer.length();
@@ -109,9 +490,9 @@ export class Unit {
     const sep = separation(this, neighbors, this.maxAccel);
     steer.addScaledVector(sep, sepWeight);
 
-    // Obstacle avoidance (spherical obstacles)
+    // Obstacle avoidance
     if (obstacles && obstacles.length) {
-      const avoid = avoidSpheres(this, obstacles);
+      const avoid = avoidObstacles(this, obstacles);
       if (avoid.lengthSq() > 0) {
         // clamp and weight
         const mag = avoid.length();
@@ -130,7 +511,7 @@ export class Unit {
     if (!this.target && speed > 0) this.velocity.multiplyScalar(Math.pow(this.idleDamping, Math.max(1, dt * 60)));
 
     this.position.addScaledVector(this.velocity, dt);
-    this.mesh.position.copy(this.position);
+    if (obstacles && obstacles.length) this._stayOutOfObstacles(obstacles);
     // Smooth orientation towards movement/goal based on turn rate
     this._updateOrientation(dt);
   }
@@ -138,7 +519,7 @@ export class Unit {
 
 // Note: classic 'seek' is replaced by arrival logic directly in update
 
-function separation(self, neighbors, maxAccel) {
+export function separation(self, neighbors, maxAccel) {
   const repulse = new THREE.Vector3();
   let count = 0;
   for (const n of neighbors) {
@@ -159,68 +540,99 @@ function separation(self, neighbors, maxAccel) {
   return repulse;
 }
 
-// Predictive avoidance against spherical obstacles using lookahead ray/segment test
-function avoidSpheres(self, obstacles) {
-  // Determine forward direction to probe
-  const forward = self.velocity.clone();
+// Predictive avoidance: probe a lookahead segment along the heading and steer off the surface of
+// the collider it passes closest to (any shape, see obstacle_shapes.js). Against a moving collider
+// the probe follows our velocity relative to it, so we also dodge things coming at us.
+export function avoidObstacles(self, obstacles) {
+  // Heading to probe against static obstacles
+  let forward = self.velocity.clone();
   if (forward.lengthSq() < 1e-4 && self.target) {
     forward.copy(self.target).sub(self.position);
   }
   const speed = Math.max(0.001, self.velocity.length());
-  if (forward.lengthSq() < 1e-6) return new THREE.Vector3();
-  forward.normalize();
-
+  if (forward.lengthSq() < 1e-6) forward = null;
+  else forward.normalize();
   const lookDist = Math.max(2.0, speed * self.avoidLookahead + self.maxSpeed * 0.25);
   const segStart = self.position.clone();
-  const segEnd = segStart.clone().addScaledVector(forward, lookDist);
+  const clearance = self.radius + self.avoidMargin;
 
   let mostThreat = null;
   let minDist = Infinity;
-  let closestPoint = null;
+  let closestT = 0;
+  let threatDir = null;
 
   for (const ob of obstacles) {
-    const center = ob.position;
-    const expanded = ob.radius + self.radius + self.avoidMargin;
+    let dir = forward;
+    let len = lookDist;
+    if (ob.velocity && ob.velocity.lengthSq() > 1e-8) {
+      dir = self.velocity.clone().sub(ob.velocity);
+      const relSpeed = dir.length();
+      if (relSpeed < 1e-3) continue; // moving along with it
+      dir.divideScalar(relSpeed);
+      len = Math.max(2.0, relSpeed * self.avoidLookahead + self.maxSpeed * 0.25);
+    }
+    if (!dir) continue;
     // Check if obstacle is roughly ahead
-    const toCenter = center.clone().sub(segStart);
-    if (toCenter.dot(forward) < -expanded) continue; // behind and far
-
-    // Find closest point on segment to sphere center
-    const t = THREE.MathUtils.clamp(toCenter.dot(forward), 0, lookDist);
-    const p = segStart.clone().addScaledVector(forward, t);
-    const d = p.distanceTo(center);
-    if (d < expanded && d < minDist) {
-      minDist = d;
+    const toCenter = ob.position.clone().sub(segStart);
+    if (toCenter.dot(dir) < -(boundingRadius(ob) + clearance)) continue; // behind and far
+
+    // Closest approach of the probe segment to the surface
+    const { t, distance } = closestOnSegment(ob, segStart, dir, len);
+    if (distance < clearance && distance < minDist) {
+      minDist = distance;
       mostThreat = ob;
-      closestPoint = p;
+      closestT = t;
+      threatDir = dir;
     }
   }
 
   if (!mostThreat) return new THREE.Vector3();
 
-  // Compute avoidance force away from obstacle surface normal at closest point
-  const normal = closestPoint.clone().sub(mostThreat.position);
-  const nLen = normal.length();
-  if (nLen < 1e-6) return new THREE.Vector3();
-  normal.divideScalar(nLen);
+  // Steer along the surface normal at the closest point, minus its component along the probe so we
+  // swerve rather than brake
+  const closestPoint = segStart.clone().addScaledVector(threatDir, closestT);
+  const avoidDir = surfaceNormal(mostThreat, closestPoint);
+  avoidDir.addScaledVector(threatDir, -avoidDir.dot(threatDir));
+  if (avoidDir.lengthSq() < 1e-6) {
+    // Head-on into a sphere's center or a flat face: swerve away from the obstacle's center,
+    // or if that is straight ahead too, pick any side perpendicular to travel
+    avoidDir.copy(segStart).sub(mostThreat.position);
+    avoidDir.addScaledVector(threatDir, -avoidDir.dot(threatDir));
+    if (avoidDir.lengthSq() < 1e-6) {
+      avoidDir.crossVectors(threatDir, Math.abs(threatDir.y) > 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0));
+    }
+  }
+  avoidDir.normalize();
 
-  // Strength increases as penetration increases
-  const expanded = mostThreat.radius + self.radius + self.avoidMargin;
-  const penetration = Math.max(0, expanded - minDist);
+  // Strength increases as penetration increases, relative to the obstacle's thickness
+  const expanded = featureRadius(mostThreat) + clearance;
+  const penetration = Math.max(0, clearance - minDist);
   const strength = THREE.MathUtils.clamp(penetration / expanded, 0.1, 1.0) * self.maxAvoidForce;
 
-  // Prefer lateral deflection by removing component along forward to avoid stopping
-  const avoidDir = normal.clone();
-  // remove any component that would counter forward too much
-  const forwardComp = avoidDir.dot(forward);
-  avoidDir.addScaledVector(forward, -forwardComp).normalize();
-
   return avoidDir.multiplyScalar(strength);
 }
 
-// Smoothly orient mesh towards desired forward with limited angular velocity
+// Hard constraint behind the steering: push a hull that ended the tick inside an obstacle back to
+// its surface and drop the velocity component pointing into it (relative to the obstacle's own
+// motion, so a moving body carries the hull along instead of overrunning it). Returns the smallest
+// hull clearance found before any correction.
+export function resolveObstaclePenetration(self, obstacles) {
+  let clearance = Infinity;
+  for (const ob of obstacles) {
+    const d = signedDistance(ob, self.position);
+    clearance = Math.min(clearance, d - self.radius);
+    if (d >= self.radius) continue;
+    const away = surfaceNormal(ob, self.position);
+    if (away.lengthSq() < 1e-12) away.set(1, 0, 0);
+    self.position.addScaledVector(away, self.radius - d);
+    const inward = self.velocity.dot(away) - (ob.velocity ? ob.velocity.dot(away) : 0);
+    if (inward < 0) self.velocity.addScaledVector(away, -inward);
+  }
+  return clearance;
+}
+
+// Smoothly orient the unit towards desired forward with limited angular velocity
 Unit.prototype._updateOrientation = function(dt) {
-  if (!this.mesh) return;
   const eps = 1e-4;
   let desiredForward = null;
   if (this.velocity.lengthSq() > eps) {
@@ -228,6 +640,10 @@ Unit.prototype._updateOrientation = function(dt) {
   } else if (this.target) {
     const toT = this.target.clone().sub(this.position);
     if (toT.lengthSq() > eps) desiredForward = toT.normalize();
+  } else if (this.attackTarget && !this.attackTarget.dead) {
+    // Idle or holding: turn to bring forward-arc weapons to bear
+    const toE = this.attackTarget.position.clone().sub(this.position);
+    if (toE.lengthSq() > eps) desiredForward = toE.normalize();
   }
   if (!desiredForward) return; // keep current orientation
 
@@ -239,12 +655,12 @@ Unit.prototype._updateOrientation = function(dt) {
   const targetQ = new THREE.Quaternion().setFromRotationMatrix(m);
 
   // Slerp with angle limit based on maxTurnRate (scaled a bit by speed fraction)
-  const currentQ = this.mesh.quaternion.clone();
+  const currentQ = this.quaternion.clone();
   const angle = 2 * Math.acos(THREE.MathUtils.clamp(currentQ.dot(targetQ), -1, 1));
-  if (angle < 1e-3) { this.mesh.quaternion.copy(targetQ); return; }
+  if (angle < 1e-3) { this.quaternion.copy(targetQ); return; }
 
   const speedFrac = THREE.MathUtils.clamp(this.velocity.length() / Math.max(1e-4, this.maxSpeed), 0.3, 1.0);
   const maxAngle = this.maxTurnRate * speedFrac * dt;
   const t = THREE.MathUtils.clamp(maxAngle / angle, 0, 1);
-  this.mesh.quaternion.slerp(targetQ, t);
+  this.quaternion.slerp(targetQ, t);
 };
@@ -1,51 +1,211 @@
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
-import { Unit } from './unit.js';
+import * as THREE from 'three';
+import { NAV, Unit } from './unit.js';
 import { CMD } from '../systems/command_bus.js';
-import { SHIP_DEFS } from '../ships/ship_models.js';
+import { SHIP_DEFS } from '../ships/ship_defs.js';
+import { PLAYER_FACTION } from './factions.js';
+import { FORMATION, computeFormationTargets } from './formations.js';
+import { SpatialHash } from '../systems/spatial_hash.js';
+import { Pathfinder } from '../systems/pathfinding.js';
+import { FlowField } from '../systems/flow_field.js';
+import { signedDistance, surfaceNormal } from '../systems/obstacle_shapes.js';
+import { createRng } from '../systems/rng.js';
+
+// Seconds ahead that commanded points are kept clear of moving obstacles
+const TARGET_CLEAR_SECONDS = 3;
+// Move orders without an explicit `nav` share a flow field from this many ships up
+export const FLOW_FIELD_MIN_UNITS = 24;
+const FLOW_FIELD_PADDING = 60; // room around the group and goal covered by a flow field
+const FLOW_FIELD_CACHE = 8; // fields kept for orders still following them
 
 export class UnitManager {
-  constructor(scene, obstacles, shipLibrary = null) {
-    this.scene = scene;
+  constructor(obstacles) {
     this.obstacles = obstacles; // ObstacleManager
+    this.pathfinder = obstacles ? new Pathfinder(obstacles) : null; // routes for move-type orders
+    this.flowFields = new Map(); // flow spec key -> FlowField, most recently used last
     this.units = [];
-    this.shipLibrary = shipLibrary; // ShipLibrary
+    this.nextUnitId = 1; // ids are per simulation, so a rebuilt world hands out the same ones
+    this._addListeners = new Set();
+    this._removeListeners = new Set();
+    this.formation = FORMATION.SPHERE; // default layout for move-type orders (see formations.js)
+    this.hullRadii = new Map(); // ship type -> radius measured from its model (setHullRadius)
+
+    // Spatial indices rebuilt every update: a fine grid for separation-sized queries and a coarse
+    // one for weapon/sensor ranges (so large radii do not visit thousands of tiny cells)
+    this.neighborIndex = new SpatialHash(8);
+    this.rangeIndex = new SpatialHash(64);
+    this.maxUnitRadius = 0;
+  }
+
+  rebuildIndex() {
+    this.neighborIndex.clear();
+    this.rangeIndex.clear();
+    this.maxUnitRadius = 0;
+    for (const u of this.units) {
+      this.neighborIndex.insert(u);
+      this.rangeIndex.insert(u);
+      this.maxUnitRadius = Math.max(this.maxUnitRadius, u.radius ?? 0.8);
+    }
+  }
+
+  // Units whose position lies within `radius` of `center`
+  queryUnits(center, radius, out = []) {
+    const index = radius <= 24 ? this.neighborIndex : this.rangeIndex;
+    return index.query(center, radius, out);
+  }
+
+  // Subscribe to spawned units (renderers attach meshes here); returns an unsubscribe fn
+  onUnitAdded(fn) {
+    this._addListeners.add(fn);
+    return () => this._addListeners.delete(fn);
+  }
+
+  // Subscribe to unit removal (e.g. destroyed in combat); returns an unsubscribe fn
+  onUnitRemoved(fn) {
+    this._removeListeners.add(fn);
+    return () => this._removeListeners.delete(fn);
+  }
+
+  removeUnit(u) {
+    const idx = this.units.indexOf(u);
+    if (idx === -1) return;
+    this.units.splice(idx, 1);
+    this._removeListeners.forEach((fn) => fn(u));
+  }
+
+  getUnitById(id) {
+    return this.units.find(u => u.id === id) ?? null;
+  }
+
+  // Remove every unit (listeners fire per unit) and restart ids
+  clear() {
+    for (const u of [...this.units]) this.removeUnit(u);
+    this.nextUnitId = 1;
+    this.formation = FORMATION.SPHERE;
+    this.flowFields.clear();
+    this.rebuildIndex();
+  }
+
+  removeDead() {
+    for (let i = this.units.length - 1; i >= 0; i--) {
+      if (this.units[i].dead) this.removeUnit(this.units[i]);
+    }
   }
 
   connectTo(commandBus) {
-    commandBus.on(CMD.MOVE_SELECTED_TO, ({ target }) => {
-      // Collect selected units
-      const sel = this.units.filter(u => u.selected);
-      if (sel.length === 0) return;
-
-      // Compute spacing based on average unit radius
-      const avgRadius = sel.reduce((s, u) => s + (u.radius ?? 0.8), 0) / sel.length;
-      const spacing = Math.max(1.2, 2 * avgRadius + 0.4); // ensure some margin
-
-      // Generate planar offsets (XZ) using a sunflower spiral pattern
-      const offsets = sunflowerOffsets(sel.length, spacing);
-
-      // Assign distinct targets preserving the commanded Y
-      for (let i = 0; i < sel.length; i++) {
-        const off = offsets[i];
-        let t = new THREE.Vector3(
-          target.x + off.x,
-          target.y, // keep height as commanded
-          target.z + off.z
-        );
-        // If target lies inside an obstacle, project it to just outside
-        t = projectOutsideObstacles(t, sel[i].radius, this.obstacles?.getAll() ?? []);
-        sel[i].setTarget(t);
-      }
+    commandBus.on(CMD.SET_FORMATION, ({ formation }) => {
+      if (Object.values(FORMATION).includes(formation)) this.formation = formation;
+    });
+    // `queue: true` (Shift) appends to each unit's order queue instead of replacing it.
+    // `nav` (see NAV) picks per-ship routes or one shared flow field; by default groups of
+    // FLOW_FIELD_MIN_UNITS or more share a field.
+    commandBus.on(CMD.MOVE_SELECTED_TO, ({ target, queue = false, formation, nav }) => {
+      const sel = this.getSelected();
+      const targets = this._formationTargets(sel, target, { formation, queue });
+      const flow = this._flowSpec(sel, target, { nav, queue });
+      sel.forEach((u, i) => u.moveTo(targets[i], { queue, flow }));
+    });
+    commandBus.on(CMD.ATTACK_MOVE_SELECTED_TO, ({ target, queue = false, formation, nav }) => {
+      const sel = this.getSelected();
+      const targets = this._formationTargets(sel, target, { formation, queue });
+      const flow = this._flowSpec(sel, target, { nav, queue });
+      sel.forEach((u, i) => u.attackMove(targets[i], { queue, flow }));
+    });
+    commandBus.on(CMD.ATTACK_UNIT_SELECTED, ({ unit, queue = false }) => {
+      if (!unit || unit.dead) return;
+      for (const u of this.getSelected()) u.attack(unit, { queue });
+    });
+    commandBus.on(CMD.STOP_SELECTED, () => {
+      for (const u of this.getSelected()) u.stop();
+    });
+    commandBus.on(CMD.HOLD_SELECTED, () => {
+      for (const u of this.getSelected()) u.hold();
+    });
+    commandBus.on(CMD.PATROL_SELECTED, ({ target, queue = false, formation }) => {
+      const sel = this.getSelected();
+      const targets = this._formationTargets(sel, target, { formation, queue });
+      sel.forEach((u, i) => u.patrol(targets[i], { queue }));
+    });
+    commandBus.on(CMD.ORBIT_SELECTED, ({ center, obstacle = null, radius, height = 0, queue = false }) => {
+      for (const u of this.getSelected()) u.orbit({ center, obstacle, radius, height }, { queue });
+    });
+    commandBus.on(CMD.FOLLOW_UNIT_SELECTED, ({ unit, queue = false }) => {
+      for (const u of this.getSelected()) u.follow(unit, { queue });
+    });
+    commandBus.on(CMD.ESCORT_UNIT_SELECTED, ({ unit, queue = false }) => {
+      for (const u of this.getSelected()) u.escort(unit, { queue });
+    });
+    commandBus.on(CMD.GUARD_UNIT_SELECTED, ({ unit, queue = false }) => {
+      for (const u of this.getSelected()) u.guard(unit, { queue });
+    });
+  }
+
+  getSelected() {
+    return this.units.filter(u => u.selected);
+  }
+
+  // Distinct per-unit targets around a commanded point (one per unit in `sel`).
+  // Queued orders lay the formation out from where the group will be, i.e. its last waypoints.
+  _formationTargets(sel, target, { formation = this.formation, queue = false } = {}) {
+    if (sel.length === 0) return [];
+    let from = null;
+    if (queue) {
+      const last = sel.map(u => u.getWaypoints().at(-1) ?? u.position);
+      from = last.reduce((c, p) => c.add(p), new THREE.Vector3()).divideScalar(last.length);
+    }
+    const targets = computeFormationTargets(sel, target, { type: formation, from });
+    // If a target lies inside an obstacle, or in the path of a moving one, project it to just outside
+    const horizon = TARGET_CLEAR_SECONDS;
+    return targets.map((t, i) => {
+      const reach = sel[i].radius + 1 + (this.obstacles ? this.obstacles.maxSpeed * horizon : 0);
+      const obs = this.obstacles ? this.obstacles.queryObstacles(t, reach) : [];
+      return projectOutsideObstacles(t, sel[i].radius, obs, { horizon });
     });
   }
 
-  spawnUnit(pos) {
-    const u = new Unit(pos);
+  // Flow field request for a group order ({ goal, min, max, clearance }), or null for routes.
+  // The field covers the group (where it will start, for queued orders) and the goal with some
+  // padding, and is wide enough for the group's biggest hull.
+  _flowSpec(sel, target, { nav, queue }) {
+    if (!this.pathfinder || sel.length === 0) return null;
+    if (nav !== NAV.FLOW && (nav !== undefined || sel.length < FLOW_FIELD_MIN_UNITS)) return null;
+    const min = target.clone();
+    const max = target.clone();
+    for (const u of sel) {
+      const start = queue ? (u.getWaypoints().at(-1) ?? u.position) : u.position;
+      min.min(start);
+      max.max(start);
+    }
+    const pad = new THREE.Vector3().setScalar(FLOW_FIELD_PADDING);
+    const clearance = Math.max(...sel.map(u => u.radius + u.avoidMargin));
+    return { goal: target.clone(), min: min.sub(pad), max: max.add(pad), clearance };
+  }
+
+  // The (cached) FlowField for a spec from _flowSpec; rebuilt identically after a reload
+  flowFieldFor(spec) {
+    const key = [...spec.goal.toArray(), ...spec.min.toArray(), ...spec.max.toArray(), spec.clearance, this.obstacles.revision].join();
+    let field = this.flowFields.get(key);
+    if (field) {
+      this.flowFields.delete(key);
+    } else {
+      field = new FlowField(this.pathfinder, spec.goal, spec.min, spec.max, spec.clearance);
+      if (this.flowFields.size >= FLOW_FIELD_CACHE) this.flowFields.delete(this.flowFields.keys().next().value);
+    }
+    this.flowFields.set(key, field);
+    return field;
+  }
+
+  addUnit(u) {
+    this.nextUnitId = Math.max(this.nextUnitId, u.id + 1);
     this.units.push(u);
-    this.scene.add(u.mesh);
+    this._addListeners.forEach((fn) => fn(u));
     return u;
   }
 
+  // `id` is only passed when rebuilding a recorded world; new units take the next free one
+  spawnUnit(pos, { faction = PLAYER_FACTION, id = this.nextUnitId } = {}) {
+    return this.addUnit(new Unit(pos, { faction, id }));
+  }
+
   spawnTestFleet() {
     const n = 20;
     const spread = 8;
@@ -57,27 +217,37 @@ export class UnitManager {
     }
   }
 
-  async spawnUnitOfType(typeName, position) {
-    if (!this.shipLibrary) throw new Error('ShipLibrary not set on UnitManager');
-    const { mesh, meta } = await this.shipLibrary.instantiate(typeName);
-    mesh.position.copy(position);
-    const u = new Unit(position, {
-      mesh,
-      radius: meta.radius,
-      maxSpeed: meta.speed,
-      maxHp: meta.hp,
-      maxAccel: meta.accel,
-      maxTurnRate: meta.turn,
-    });
-    this.units.push(u);
-    this.scene.add(u.mesh);
-    return u;
+  // Hulls measured from their models (ShipLibrary) replace the SHIP_DEFS radius for new units
+  setHullRadius(typeName, radius) {
+    this.hullRadii.set(typeName, radius);
+  }
+
+  hullRadius(typeName) {
+    return this.hullRadii.get(typeName) ?? SHIP_DEFS[typeName]?.radius ?? 1.0;
+  }
+
+  // `radius` is only passed when rebuilding a saved unit, which keeps the hull it was saved with
+  spawnUnitOfType(typeName, position, { faction = PLAYER_FACTION, id = this.nextUnitId, radius } = {}) {
+    const def = SHIP_DEFS[typeName];
+    if (!def) throw new Error(`Unknown ship: ${typeName}`);
+    return this.addUnit(new Unit(position, {
+      id,
+      type: typeName,
+      role: def.role,
+      faction,
+      weapons: def.weapons ?? [],
+      radius: radius ?? this.hullRadius(typeName),
+      sensor: def.sensor,
+      maxSpeed: def.speed,
+      maxHp: def.hp,
+      maxAccel: def.accel ?? 15,
+      maxTurnRate: def.turn ?? 2.0,
+    }));
   }
 
-  async spawnFleetAllShips(center = new THREE.Vector3(0, 0, 0)) {
-    if (!this.shipLibrary) throw new Error('ShipLibrary not set on UnitManager');
-    // Ensure all models are loaded
-    await this.shipLibrary.loadAll();
+  // Heights are jittered from `seed`, so the same call always lays the fleet out the same way
+  spawnFleetAllShips(center = new THREE.Vector3(0, 0, 0), { faction = PLAYER_FACTION, seed = faction + 1 } = {}) {
+    const rng = createRng(seed);
 
     // Determine counts based on role (more small, fewer big)
     const roleCount = {
@@ -103,16 +273,13 @@ export class UnitManager {
       const def = SHIP_DEFS[name];
       const count = roleCount[def.role] ?? 2;
       for (let i = 0; i < count; i++) {
-        // Load meta to know radius
-        const { meta } = await this.shipLibrary.instantiate(name);
-        const r = meta.radius ?? 1.0;
-        const y = baseY + (Math.random() - 0.5) * 2;
+        const r = this.hullRadius(name);
+        const y = baseY + rng.range(-1, 1);
         // Try to find a non-overlapping spot
-        const pos = this._findSpawnSpot(ringRadius, angleAccum, r, y);
+        const pos = this._findSpawnSpot(ringRadius, angleAccum, r, y, center);
         angleAccum += angleStep;
         if (angleAccum > Math.PI * 2) { angleAccum -= Math.PI * 2; ringRadius += Math.max(6, r * 4); }
-        pos.add(center.clone().setY(0));
-        await this.spawnUnitOfType(name, pos);
+        this.spawnUnitOfType(name, pos, { faction });
       }
     }
   }
@@ -127,54 +294,48 @@ export class UnitManager {
   }
 
   update(dt) {
-    // Build neighbor lists (naive O(n^2) for prototype)
-    const arr = this.units;
-    for (let i = 0; i < arr.length; i++) {
-      const neighbors = arr; // simple: all units
-      const obs = this.obstacles?.getAll() ?? [];
-      arr[i].update(dt, neighbors, obs);
+    this.rebuildIndex();
+    const pad = 0.5; // covers movement since the index was built
+    for (const u of this.units) {
+      // Separation only reacts within (r1 + r2) * 1.2, see unit.js
+      const neighbors = this.queryUnits(u.position, (u.radius + this.maxUnitRadius) * 1.2 + pad);
+      // Moving obstacles can close in from further away within the lookahead
+      const reach = u.avoidQueryRadius() + (this.obstacles ? this.obstacles.maxSpeed * u.avoidLookahead : 0);
+      const obs = this.obstacles ? this.obstacles.queryObstacles(u.position, reach) : [];
+      u.update(dt, neighbors, obs, this);
     }
   }
 }
 
-// Golden-angle sunflower distribution in XZ plane with approximate spacing
-function sunflowerOffsets(n, spacing) {
-  const res = [];
-  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
-  // pick scale so nearest-neighbor spacing is around the requested spacing
-  const c = spacing / Math.sqrt(Math.PI); // heuristic scale
-  for (let k = 0; k < n; k++) {
-    const r = c * Math.sqrt(k + 0.5); // +0.5 to avoid zero overlap at center
-    const theta = k * goldenAngle;
-    res.push({ x: r * Math.cos(theta), z: r * Math.sin(theta) });
-  }
-  return res;
-}
-
-// If a desired point is inside any obstacle sphere, push it outwards to the surface + margin
-function projectOutsideObstacles(point, unitRadius, obstacles) {
+// If a desired point is within unitRadius + margin of any obstacle, push it out along the surface
+// normal to that clearance. With a `horizon` (seconds) a moving obstacle is tested where it passes
+// closest to the point within that time, so a target is not picked in front of an oncoming moon.
+export function projectOutsideObstacles(point, unitRadius, obstacles, { horizon = 0 } = {}) {
   const p = point.clone();
   const margin = 0.2;
+  const clearance = unitRadius + margin;
+  const q = new THREE.Vector3();
   for (const ob of obstacles) {
-    const dir = p.clone().sub(ob.position);
-    let d = dir.length();
-    const limit = ob.radius + unitRadius + margin;
-    if (d < limit) {
-      if (d < 1e-5) {
-        // point exactly at center; choose an arbitrary direction
-        dir.set(1, 0, 0);
-        d = 1;
-      } else {
-        dir.divideScalar(d);
-      }
-      p.copy(ob.position).addScaledVector(dir, limit);
+    // The point relative to the obstacle at its closest approach (straight-line extrapolation)
+    q.copy(p);
+    const speed2 = ob.velocity ? ob.velocity.lengthSq() : 0;
+    if (horizon > 0 && speed2 > 1e-8) {
+      const t = THREE.MathUtils.clamp(q.clone().sub(ob.position).dot(ob.velocity) / speed2, 0, horizon);
+      q.addScaledVector(ob.velocity, -t);
+    }
+    const d = signedDistance(ob, q);
+    if (d < clearance) {
+      const dir = surfaceNormal(ob, q);
+      // point exactly at a sphere's center; choose an arbitrary direction
+      if (dir.lengthSq() < 1e-12) dir.set(1, 0, 0);
+      p.addScaledVector(dir, clearance - d);
     }
   }
   return p;
 }
 
-// Helper: find a spawn spot on rings avoiding overlap with existing units
-UnitManager.prototype._findSpawnSpot = function(baseRadius, startAngle, newRadius, y) {
+// Helper: find a spawn spot on rings around center (XZ) avoiding overlap with existing units
+UnitManager.prototype._findSpawnSpot = function(baseRadius, startAngle, newRadius, y, center = new THREE.Vector3()) {
   const tries = 64;
   const factor = 1.4; // distance multiplier to avoid touching
   for (let t = 0; t < tries; t++) {
@@ -182,7 +343,7 @@ UnitManager.prototype._findSpawnSpot = function(baseRadius, startAngle, newRadiu
     const ring = baseRadius + Math.floor(t / 12) * Math.max(6, newRadius * 4);
     const x = Math.cos(angle) * ring;
     const z = Math.sin(angle) * ring;
-    const p = new THREE.Vector3(x, y, z);
+    const p = new THREE.Vector3(center.x + x, y, center.z + z);
     let ok = true;
     for (const u of this.units) {
       const need = (newRadius + (u.radius ?? 1)) * factor;
@@ -191,5 +352,5 @@ UnitManager.prototype._findSpawnSpot = function(baseRadius, startAngle, newRadiu
     if (ok) return p;
   }
   // fallback: push far on ring
-  return new THREE.Vector3(Math.cos(startAngle) * (baseRadius + 50), y, Math.sin(startAngle) * (baseRadius + 50));
+  return new THREE.Vector3(center.x + Math.cos(startAngle) * (baseRadius + 50), y, center.z + Math.sin(startAngle) * (baseRadius + 50));
 };
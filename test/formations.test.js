@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { sunflowerOffsets, computeFormationTargets, groupCentroid, FORMATION_LIST } from '../src/units/formations.js';
+import { Unit } from '../src/units/unit.js';
+import { near } from './helpers.js';
+
+// Points may be {x, z} offsets or Vector3s
+function minPairDistance(points) {
+  let best = Infinity;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      best = Math.min(best, Math.hypot(points[i].x - points[j].x, (points[i].y ?? 0) - (points[j].y ?? 0), points[i].z - points[j].z));
+    }
+  }
+  return best;
+}
+
+test('sunflowerOffsets returns n distinct points at roughly the requested spacing', () => {
+  for (const n of [1, 2, 7, 50]) {
+    const pts = sunflowerOffsets(n, 3);
+    assert.equal(pts.length, n);
+    for (const p of pts) assert.ok(Number.isFinite(p.x) && Number.isFinite(p.z));
+    if (n > 1) assert.ok(minPairDistance(pts) > 3 * 0.5, `n=${n} packs too tightly`);
+  }
+});
+
+test('sunflowerOffsets spreads outwards with the golden angle', () => {
+  const pts = sunflowerOffsets(100, 2);
+  const r = pts.map(p => Math.hypot(p.x, p.z));
+  for (let i = 1; i < r.length; i++) assert.ok(r[i] > r[i - 1]);
+  // Area grows linearly with the count, so the outer radius scales with sqrt(n)
+  const r50 = Math.hypot(pts[49].x, pts[49].z);
+  assert.ok(Math.abs(r[99] / r50 - Math.sqrt(99.5 / 49.5)) < 1e-9);
+});
+
+test('every formation centers its slots on the commanded point', () => {
+  const units = Array.from({ length: 12 }, (_, i) => new Unit(new THREE.Vector3(i * 3, 0, -40)));
+  const target = new THREE.Vector3(50, 10, 20);
+  for (const type of FORMATION_LIST) {
+    const targets = computeFormationTargets(units, target, { type });
+    assert.equal(targets.length, units.length);
+    near(groupCentroid(targets.map(position => ({ position }))), target, 1e-6);
+    assert.ok(minPairDistance(targets) >= 1.2, `${type} stacks units`);
+  }
+});
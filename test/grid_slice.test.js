@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridSliceXZ } from '../src/systems/grid_slice_xz.js';
+
+function highlightAt(grid, x, z) {
+  grid.setHighlightFromXZ(x, z);
+  return { x: grid.highlight.position.x, z: grid.highlight.position.z };
+}
+
+test('setHighlightFromXZ snaps to the center of the containing cell', () => {
+  const grid = new GridSliceXZ({ halfSize: 100, step: 10 });
+  assert.deepEqual(highlightAt(grid, 3, 7), { x: 5, z: 5 });
+  assert.deepEqual(highlightAt(grid, -3, -7), { x: -5, z: -5 });
+  assert.deepEqual(highlightAt(grid, 42.5, -17), { x: 45, z: -15 });
+});
+
+test('setHighlightFromXZ puts cell boundaries in the cell above them', () => {
+  const grid = new GridSliceXZ({ halfSize: 100, step: 10 });
+  assert.deepEqual(highlightAt(grid, 0, 10), { x: 5, z: 15 });
+  assert.deepEqual(highlightAt(grid, -10, -0.0001), { x: -5, z: -5 });
+});
+
+test('setHighlightFromXZ clamps to the outermost cells', () => {
+  const grid = new GridSliceXZ({ halfSize: 50, step: 10 });
+  assert.deepEqual(highlightAt(grid, 500, -500), { x: 45, z: -45 });
+  assert.deepEqual(highlightAt(grid, 50, -50), { x: 45, z: -45 });
+});
+
+test('setHighlightFromXZ works for grids that do not start on a multiple of the step', () => {
+  const grid = new GridSliceXZ({ halfSize: 15, step: 10 });
+  // Cells span [-15,-5), [-5,5), [5,15)
+  assert.deepEqual(highlightAt(grid, 0, 4.9), { x: 0, z: 0 });
+  assert.deepEqual(highlightAt(grid, 5, -5.1), { x: 10, z: -10 });
+});
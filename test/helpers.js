@@ -0,0 +1,11 @@
+import assert from 'node:assert/strict';
+
+// Component-wise comparison of anything with x/y/z
+export function near(actual, expected, eps = 1e-6) {
+  for (const k of ['x', 'y', 'z']) {
+    assert.ok(
+      Math.abs(actual[k] - expected[k]) <= eps,
+      `${k}: expected ${expected[k]}, got ${actual[k]} (${JSON.stringify(actual)})`,
+    );
+  }
+}
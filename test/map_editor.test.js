@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import * as THREE from 'three';
+import { MapError, parseMap } from '../src/systems/map_schema.js';
+import { ObstacleManager } from '../src/systems/obstacles.js';
+import { applyMapToWorld, obstacleToMap } from '../src/systems/map_loader.js';
+import { EDITOR_OBSTACLE_TYPES, EDITOR_PALETTE, MapEditor } from '../src/systems/map_editor.js';
+import { generateMap } from '../src/systems/map_generator.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+test('an opened map exports unchanged and is applied to the world', async () => {
+  const json = JSON.parse(await readFile(new URL('../maps/example_star_systems.map.json', import.meta.url), 'utf8'));
+  const obstacles = new ObstacleManager();
+  const editor = new MapEditor(obstacles);
+  editor.open(json);
+  assert.deepEqual(editor.toJSON(), parseMap(json));
+  assert.equal(obstacles.getAll().length, json.obstacles.length);
+  assert.deepEqual(obstacleToMap(obstacles.getAll()[0]), editor.map.obstacles[0]);
+});
+
+test('edits build a map that MapLoader accepts, and undo / redo step through them', () => {
+  const obstacles = new ObstacleManager();
+  const editor = new MapEditor(obstacles);
+  editor.open(null);
+  for (const [i, type] of EDITOR_OBSTACLE_TYPES.entries()) editor.placeObstacle(type, v(i * 100, 10.4, 0));
+  const spawn = editor.placeSpawn(v(-200.2, 5, -200.7));
+  const sphere = { kind: 'obstacle', index: 0 };
+  editor.move(sphere, v(0, 30, 50));
+  editor.resize(sphere, 1.5);
+  editor.recolor(sphere);
+  editor.recolor(spawn);
+
+  const map = editor.toJSON();
+  assert.deepEqual(map.spawns, [{ x: -200, y: 5, z: -201, faction: 1 }]);
+  assert.deepEqual(map.obstacles[0], { type: 'sphere', position: { x: 0, y: 30, z: 50 }, radius: 15, color: EDITOR_PALETTE[1] });
+  assert.equal(map.obstacles[1].position.y, 10, 'positions snap to whole units');
+  // What the editor shows is what the exported file loads as
+  const loaded = new ObstacleManager();
+  applyMapToWorld(map, { obstacles: loaded });
+  assert.deepEqual(loaded.getAll().map(obstacleToMap), obstacles.getAll().map(obstacleToMap));
+  assert.equal(obstacles.getAll()[0].radius, 15);
+
+  // 10 edits: undo them all, then redo them all
+  let undone = 0;
+  while (editor.undo()) undone++;
+  assert.equal(undone, 10);
+  assert.deepEqual(editor.map.obstacles, []);
+  assert.equal(obstacles.getAll().length, 0);
+  assert.equal(editor.selected, null, 'the selection goes with the undone item');
+  while (editor.redo()) undone--;
+  assert.equal(undone, 0);
+  assert.deepEqual(editor.toJSON(), map);
+
+  // A new edit after undo drops the redo history
+  editor.undo();
+  editor.remove(sphere);
+  assert.equal(editor.canRedo, false);
+  assert.equal(editor.map.obstacles.length, 4);
+});
+
+test('moving a body carries its orbiting moons, and an orbited body cannot be removed', () => {
+  const obstacles = new ObstacleManager();
+  const editor = new MapEditor(obstacles);
+  editor.open({
+    version: 1,
+    spawns: [],
+    obstacles: [
+      { type: 'sphere', name: 'Sun', position: { x: 0, y: 0, z: 0 }, radius: 20 },
+      { type: 'sphere', name: 'Planet', position: { x: 100, y: 0, z: 0 }, radius: 8, motion: { orbit: { parent: 'Sun', period: 60 } } },
+      { type: 'sphere', position: { x: 120, y: 0, z: 0 }, radius: 2, motion: { orbit: { parent: 'Planet', period: 10 } } },
+      { type: 'sphere', position: { x: -100, y: 0, z: 0 }, radius: 5 },
+    ],
+  });
+  editor.move({ kind: 'obstacle', index: 1 }, v(100, 20, 50));
+  assert.deepEqual(editor.map.obstacles.map(ob => ob.position), [
+    { x: 0, y: 0, z: 0 }, { x: 100, y: 20, z: 50 }, { x: 120, y: 20, z: 50 }, { x: -100, y: 0, z: 0 },
+  ]);
+
+  const before = editor.map;
+  assert.throws(() => editor.remove({ kind: 'obstacle', index: 1 }), (err) => {
+    assert.ok(err instanceof MapError);
+    assert.match(err.errors[0], /"Planet" does not name an obstacle/);
+    return true;
+  });
+  assert.equal(editor.map, before, 'a rejected edit changes nothing');
+  assert.equal(obstacles.getAll().length, 4);
+  editor.undo();
+  assert.equal(editor.map.obstacles[1].position.y, 0);
+});
+
+test('a generated map replaces the document as one undo step', () => {
+  const obstacles = new ObstacleManager();
+  const editor = new MapEditor(obstacles);
+  editor.open(null);
+  editor.placeSpawn(v(0, 0, 0));
+  const generated = generateMap({ seed: 11 });
+  editor.replace(generated);
+  assert.deepEqual(editor.toJSON(), generated);
+  assert.equal(obstacles.getAll().length, generated.obstacles.length);
+  editor.undo();
+  assert.equal(editor.map.spawns.length, 1);
+  assert.equal(obstacles.getAll().length, 0);
+});
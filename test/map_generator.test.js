@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMap } from '../src/systems/map_schema.js';
+import { ObstacleManager } from '../src/systems/obstacles.js';
+import { applyMapToWorld } from '../src/systems/map_loader.js';
+import { signedDistance } from '../src/systems/obstacle_shapes.js';
+import { SPAWN_CLEARANCE, generateMap } from '../src/systems/map_generator.js';
+
+const world = (map) => {
+  const obstacles = new ObstacleManager();
+  const { spawns } = applyMapToWorld(map, { obstacles });
+  return { obstacles, spawns };
+};
+
+test('the same seed and options always give the same valid map', () => {
+  const a = generateMap({ seed: 42, players: 3 });
+  assert.deepEqual(validateMap(a), []);
+  assert.deepEqual(generateMap({ seed: 42, players: 3 }), a);
+  assert.notDeepEqual(generateMap({ seed: 43, players: 3 }), a);
+  const { obstacles, spawns } = world(a);
+  assert.equal(obstacles.getAll().length, a.obstacles.length);
+  assert.equal(spawns.length, 3);
+  assert.ok(obstacles.moving.length > 0, 'planets and moons orbit');
+});
+
+test('spawns are fair: every player sees the same obstacles at the same distances', () => {
+  for (const players of [2, 3, 4]) {
+    const map = generateMap({ seed: 7, players, systems: 3 * players });
+    const { obstacles, spawns } = world(map);
+    const radii = spawns.map(s => Math.hypot(s.position.x, s.position.z));
+    for (const r of radii) assert.ok(Math.abs(r - radii[0]) < 0.2);
+    assert.deepEqual(spawns.map(s => s.faction), [...Array(players).keys()]);
+    const view = (spawn) => obstacles.getAll()
+      .map(ob => ob.position.distanceTo(spawn.position))
+      .sort((x, y) => x - y);
+    const first = view(spawns[0]);
+    for (const s of spawns.slice(1)) {
+      view(s).forEach((d, i) => assert.ok(Math.abs(d - first[i]) < 0.5, `${players} players: ${d} vs ${first[i]}`));
+    }
+  }
+});
+
+test('spawn zones stay clear of every obstacle as the bodies orbit', () => {
+  const map = generateMap({ seed: 3, players: 4, systems: 12, asteroids: 2 });
+  const { obstacles, spawns } = world(map);
+  for (const t of [0, 17, 60, 200]) {
+    obstacles.setElapsed(t);
+    for (const s of spawns) {
+      const near = obstacles.getAll().flatMap(ob => obstacles.collidersOf(ob));
+      const d = Math.min(...near.map(c => signedDistance(c, s.position)));
+      assert.ok(d > SPAWN_CLEARANCE - 1, `t=${t}: ${d.toFixed(1)} from spawn ${s.faction}`);
+    }
+  }
+  for (const ob of map.obstacles) {
+    assert.ok(Math.hypot(ob.position.x, ob.position.z) < map.size.halfSize, 'everything is on the map');
+  }
+});
+
+test('density options control planets, moons and asteroid fields', () => {
+  const count = (map, pred) => map.obstacles.filter(pred).length;
+  const isField = ob => ob.type === 'asteroidField';
+  const orbitsStar = ob => /^P\d Star \d+$/.test(ob.motion?.orbit?.parent ?? '');
+  const isMoon = ob => ob.motion?.orbit && !orbitsStar(ob);
+
+  const bare = generateMap({ seed: 5, planets: 0, moons: 0, asteroids: 0 });
+  assert.ok(bare.obstacles.length > 0);
+  assert.ok(bare.obstacles.every(ob => ob.type === 'sphere' && !ob.motion), 'only stars');
+
+  const dense = generateMap({ seed: 5, planets: 3, moons: 2, asteroids: 2 });
+  assert.ok(count(dense, orbitsStar) > 0);
+  assert.ok(count(dense, isMoon) > count(generateMap({ seed: 5, planets: 3, moons: 0.5 }), isMoon));
+  assert.ok(count(dense, isField) > 0);
+  assert.equal(count(generateMap({ seed: 5, asteroids: 0 }), isField), 0);
+});
+
+test('unusable options are refused', () => {
+  assert.throws(() => generateMap({ players: 0 }), /players must be an integer/);
+  assert.throws(() => generateMap({ players: 9 }), /players must be an integer/);
+  assert.throws(() => generateMap({ seed: 1.5 }), /seed must be an integer/);
+  assert.throws(() => generateMap({ planets: -1 }), /planets must be a number >= 0/);
+  assert.throws(() => generateMap({ halfSize: 50 }), /halfSize must be at least/);
+  // A small map still works, with fewer systems
+  assert.deepEqual(validateMap(generateMap({ halfSize: 300, systems: 20 })), []);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { MAP_VERSION, MapError, parseMap, validateMap } from '../src/systems/map_schema.js';
+import { ObstacleManager } from '../src/systems/obstacles.js';
+import { applyMapToWorld } from '../src/systems/map_loader.js';
+
+const valid = () => ({
+  version: MAP_VERSION,
+  name: 'test',
+  size: { halfSize: 100, gridStep: 10 },
+  spawns: [{ x: -50, y: 0, z: 0, faction: 0 }, { x: 50, y: 0, z: 0, faction: 1 }],
+  obstacles: [{ type: 'sphere', position: { x: 0, y: 0, z: 0 }, radius: 5 }],
+});
+
+test('the bundled example map is current and valid', async () => {
+  const json = JSON.parse(await readFile(new URL('../maps/example_star_systems.map.json', import.meta.url), 'utf8'));
+  assert.equal(json.version, MAP_VERSION);
+  assert.deepEqual(validateMap(json), []);
+});
+
+test('validateMap reports every problem with its path', () => {
+  const map = valid();
+  map.obstacles.push({ type: 'sphere', position: { x: 0, y: 'up', z: 0 }, radius: 0, opacity: 2 });
+  map.obstacles.push({ type: 'cube', position: { x: 0, y: 0, z: 0 } });
+  map.spawns[1].faction = 1.5;
+  map.size.gridStep = -1;
+  assert.deepEqual(validateMap(map), [
+    'size.gridStep must be > 0',
+    'spawns[1].faction must be an integer',
+    'obstacles[1].position.y must be a number',
+    'obstacles[1].radius must be > 0',
+    'obstacles[1].opacity must be <= 1',
+    'obstacles[2].type must be one of sphere, box, capsule, torus, asteroidField (got "cube")',
+  ]);
+});
+
+test('parseMap throws a MapError carrying the error list', () => {
+  const map = valid();
+  delete map.obstacles;
+  assert.throws(() => parseMap(map, 'bad.json'), (err) => {
+    assert.ok(err instanceof MapError);
+    assert.equal(err.summary, 'bad.json has 1 error');
+    assert.deepEqual(err.errors, ['obstacles must be an array']);
+    return true;
+  });
+  assert.throws(() => parseMap([], 'list.json'), /list.json is not a JSON object/);
+});
+
+test('maps from a newer game version are rejected', () => {
+  assert.throws(() => parseMap({ ...valid(), version: MAP_VERSION + 1 }), (err) => {
+    assert.match(err.errors[0], /is newer than this game supports/);
+    return true;
+  });
+});
+
+test('negative and fractional versions are reported, not migrated', () => {
+  for (const version of [-1, 0.5]) {
+    assert.throws(() => parseMap({ ...valid(), version }), (err) => {
+      assert.ok(err instanceof MapError);
+      assert.deepEqual(err.errors, [`version must be an integer from 0 to ${MAP_VERSION}`]);
+      return true;
+    });
+  }
+});
+
+test('unversioned maps migrate with the old loader defaults', () => {
+  const legacy = {
+    spawns: [{ x: 10 }, { z: -10, faction: 3 }],
+    obstacles: [{ type: 'sphere' }, { type: 'sphere', position: { x: 1, y: 2, z: 3 }, radius: 7 }],
+  };
+  const map = parseMap(legacy);
+  assert.equal(map.version, MAP_VERSION);
+  assert.deepEqual(map.spawns, [{ x: 10, y: 0, z: 0, faction: 0 }, { x: 0, y: 0, z: -10, faction: 3 }]);
+  assert.deepEqual(map.obstacles[0], { type: 'sphere', position: { x: 0, y: 0, z: 0 }, radius: 2 });
+  assert.equal(legacy.version, undefined, 'input is not modified');
+});
+
+test('applyMapToWorld refuses invalid maps instead of skipping entries', () => {
+  const obstacles = new ObstacleManager();
+  const map = valid();
+  map.obstacles.push({ type: 'blob', position: { x: 0, y: 0, z: 0 }, radius: 1 });
+  assert.throws(() => applyMapToWorld(map, { obstacles }), MapError);
+  assert.equal(obstacles.getAll().length, 0);
+
+  const { spawns } = applyMapToWorld(valid(), { obstacles });
+  assert.equal(obstacles.getAll().length, 1);
+  assert.deepEqual(spawns.map(s => s.faction), [0, 1]);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { rayFromMouse, raycastGroundPlane } from '../src/systems/math.js';
+import { near } from './helpers.js';
+
+function cameraAt(position, lookAt) {
+  const camera = new THREE.PerspectiveCamera(60, 16 / 9, 0.1, 1000);
+  camera.position.copy(position);
+  camera.lookAt(lookAt);
+  camera.updateMatrixWorld();
+  return camera;
+}
+
+test('raycastGroundPlane hits y=0 in front of the ray', () => {
+  const hit = raycastGroundPlane(new THREE.Vector3(3, 10, -2), new THREE.Vector3(1, -1, 0).normalize());
+  near(hit, { x: 13, y: 0, z: -2 });
+});
+
+test('raycastGroundPlane misses parallel rays and rays pointing away', () => {
+  assert.equal(raycastGroundPlane(new THREE.Vector3(0, 5, 0), new THREE.Vector3(1, 0, 0)), null);
+  assert.equal(raycastGroundPlane(new THREE.Vector3(0, 5, 0), new THREE.Vector3(0, 1, 0)), null);
+  assert.equal(raycastGroundPlane(new THREE.Vector3(0, -5, 0), new THREE.Vector3(0, -1, 0)), null);
+});
+
+test('rayFromMouse starts at the camera and points through the screen center', () => {
+  const camera = cameraAt(new THREE.Vector3(10, 20, 30), new THREE.Vector3(10, 0, 0));
+  const { origin, dir } = rayFromMouse(0, 0, camera);
+  near(origin, camera.position);
+  near(dir, new THREE.Vector3(0, -20, -30).normalize());
+  assert.ok(Math.abs(dir.length() - 1) < 1e-9);
+});
+
+test('rayFromMouse screen edges map to the matching side of the view', () => {
+  const camera = cameraAt(new THREE.Vector3(0, 50, 0.001), new THREE.Vector3(0, 0, 0));
+  const groundAt = (x, y) => {
+    const { origin, dir } = rayFromMouse(x, y, camera);
+    return raycastGroundPlane(origin, dir);
+  };
+  const right = groundAt(1, 0);
+  const top = groundAt(0, 1);
+  // Looking straight down with -Z as screen-up: screen right is +X, screen top is -Z
+  assert.ok(right.x > 1 && Math.abs(right.z) < 1e-3);
+  assert.ok(top.z < -1 && Math.abs(top.x) < 1e-3);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { near } from './helpers.js';
+import { cameraFootprint, minimapToWorld, worldToMinimap } from '../src/ui/minimap.js';
+
+test('minimap pixels and map coordinates convert both ways', () => {
+  assert.deepEqual(worldToMinimap({ x: -750, y: 40, z: -750 }, 750, 200), { x: 0, y: 0 });
+  assert.deepEqual(worldToMinimap({ x: 0, y: 0, z: 0 }, 750, 200), { x: 100, y: 100 });
+  assert.deepEqual(worldToMinimap({ x: 750, y: 0, z: 375 }, 750, 200), { x: 200, y: 150 });
+  const p = minimapToWorld(50, 170, 750, 200);
+  near(p, { x: -375, y: 0, z: 525 });
+  const back = worldToMinimap(p, 750, 200);
+  assert.ok(Math.abs(back.x - 50) < 1e-9 && Math.abs(back.y - 170) < 1e-9);
+});
+
+function camera(position, lookAt) {
+  const cam = new THREE.PerspectiveCamera(90, 1, 0.1, 1e6);
+  cam.position.copy(position);
+  cam.lookAt(lookAt);
+  cam.updateMatrixWorld();
+  return cam;
+}
+
+test('the footprint of a camera looking straight down is the square below it', () => {
+  const cam = camera(new THREE.Vector3(10, 100, 20), new THREE.Vector3(10, 0, 20.0001));
+  const corners = cameraFootprint(cam, 0, 1000);
+  // 90 degree field of view: half a side per unit of height, on the plane 100 below
+  const xs = corners.map(c => c.x).sort((a, b) => a - b);
+  const zs = corners.map(c => c.z).sort((a, b) => a - b);
+  assert.ok(Math.abs(xs[0] + 90) < 0.1 && Math.abs(xs[3] - 110) < 0.1);
+  assert.ok(Math.abs(zs[0] + 80) < 0.1 && Math.abs(zs[3] - 120) < 0.1);
+  for (const c of corners) assert.equal(c.y, 0);
+  // A higher cursor plane is closer to the camera, so less of it is in view
+  const raised = cameraFootprint(cam, 50, 1000);
+  assert.ok(Math.max(...raised.map(c => c.x)) < xs[3]);
+});
+
+test('footprint corners above the horizon are cut off at the reach', () => {
+  const cam = camera(new THREE.Vector3(0, 10, 0), new THREE.Vector3(0, 10, -100)); // looking level
+  const [bottomLeft, bottomRight, topRight, topLeft] = cameraFootprint(cam, 0, 500);
+  assert.ok(bottomLeft.z < 0 && bottomRight.z < 0 && bottomLeft.x < 0 && bottomRight.x > 0);
+  assert.ok(bottomLeft.distanceTo(cam.position) < 500, 'the lower corners meet the plane');
+  for (const c of [topRight, topLeft]) {
+    assert.equal(c.y, 0);
+    assert.ok(Math.abs(Math.hypot(c.x, c.z) - 500) < 1e-6);
+  }
+});
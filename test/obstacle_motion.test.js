@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation } from '../src/simulation.js';
+import { ObstacleManager } from '../src/systems/obstacles.js';
+import { validateMap } from '../src/systems/map_schema.js';
+import { serializeWorld, restoreWorld } from '../src/systems/save_game.js';
+import { projectOutsideObstacles } from '../src/units/unit_manager.js';
+import { Unit, avoidObstacles } from '../src/units/unit.js';
+import { signedDistance } from '../src/systems/obstacle_shapes.js';
+import { near } from './helpers.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+function planetWithMoons() {
+  const obstacles = new ObstacleManager();
+  const planet = obstacles.addSphere(v(0, 0, 0), 10, { name: 'planet' });
+  const moon = obstacles.addSphere(v(40, 0, 0), 3, { name: 'moon' });
+  const pebble = obstacles.addSphere(v(46, 0, 0), 1);
+  obstacles.setMotion(planet, { drift: v(1, 0, 0) });
+  obstacles.setMotion(pebble, { orbit: { parent: moon, period: 10 } });
+  obstacles.setMotion(moon, { orbit: { parent: planet, period: 100 } });
+  return { obstacles, planet, moon, pebble };
+}
+
+test('orbits follow their (moving) parent, moons of moons included', () => {
+  const { obstacles, planet, moon, pebble } = planetWithMoons();
+  assert.deepEqual(obstacles.moving, [planet, moon, pebble], 'parents are posed first');
+  for (let i = 0; i < 25 * 30; i++) obstacles.update(1 / 30);
+  // A quarter orbit later the moon sits on -Z (counter-clockwise seen from above is +Y rotation)
+  near(planet.position, { x: 25, y: 0, z: 0 }, 1e-6);
+  near(moon.position, { x: 25, y: 0, z: -40 }, 1e-6);
+  assert.ok(Math.abs(pebble.position.distanceTo(moon.position) - 6) < 1e-6);
+  // Velocities are analytic: drift plus the orbital speed along the tangent
+  near(moon.velocity, { x: 1 - (2 * Math.PI * 40) / 100, y: 0, z: 0 }, 1e-6);
+});
+
+test('setElapsed poses the same world as stepping there', () => {
+  const a = planetWithMoons();
+  const b = planetWithMoons();
+  for (let i = 0; i < 123; i++) a.obstacles.update(1 / 30);
+  b.obstacles.setElapsed(a.obstacles.elapsed);
+  near(b.pebble.position, a.pebble.position, 1e-9);
+  near(b.pebble.velocity, a.pebble.velocity, 1e-9);
+});
+
+test('spinning fields carry their rocks round', () => {
+  const obstacles = new ObstacleManager();
+  const field = obstacles.addAsteroidField(v(0, 0, 0), v(60, 4, 60), { count: 20, minRadius: 1, maxRadius: 2, seed: 5 });
+  obstacles.setMotion(field, { spin: v(0, 90, 0) });
+  const rock = field.rocks[0];
+  const start = rock.position.clone();
+  for (let i = 0; i < 30; i++) obstacles.update(1 / 30);
+  near(rock.position, start.clone().applyAxisAngle(v(0, 1, 0), Math.PI / 2), 1e-6);
+  near(rock.velocity, v(0, Math.PI / 2, 0).cross(rock.position), 1e-6);
+});
+
+test('a moving world saves and continues exactly', () => {
+  const sim = createSimulation();
+  sim.loadMap({
+    version: 1,
+    spawns: [{ x: -60, y: 0, z: 0, faction: 0 }, { x: 60, y: 0, z: 0, faction: 1 }],
+    obstacles: [
+      { type: 'sphere', name: 'sun', position: { x: 0, y: 0, z: 0 }, radius: 12 },
+      { type: 'sphere', name: 'moon', position: { x: 30, y: 0, z: 0 }, radius: 4, motion: { orbit: { parent: 'sun', period: 20 } } },
+      { type: 'box', position: { x: 0, y: 0, z: 60 }, size: { x: 20, y: 6, z: 8 }, motion: { drift: { x: 0, y: 0, z: -2 }, spin: { x: 0, y: 20, z: 0 } } },
+    ],
+  });
+  sim.step(200);
+  const copy = createSimulation();
+  restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim))));
+  sim.step(200);
+  copy.step(200);
+  const poses = s => s.obstacles.getAll().map(o => [...o.position.toArray(), ...o.quaternion.toArray(), ...o.velocity.toArray()]);
+  assert.deepEqual(poses(copy), poses(sim));
+  assert.deepEqual(copy.unitManager.units.map(u => u.position.toArray()), sim.unitManager.units.map(u => u.position.toArray()));
+});
+
+test('map motion is validated with paths', () => {
+  const map = {
+    version: 1,
+    spawns: [],
+    obstacles: [
+      { type: 'sphere', name: 'a', position: { x: 0, y: 0, z: 0 }, radius: 1, motion: { orbit: { parent: 'b', period: 10 } } },
+      { type: 'sphere', name: 'b', position: { x: 5, y: 0, z: 0 }, radius: 1, motion: { orbit: { parent: 'a', period: 0 } } },
+      { type: 'sphere', name: 'a', position: { x: 9, y: 0, z: 0 }, radius: 1, motion: { orbit: { parent: 'nowhere', period: 5, axis: { x: 0, y: 0, z: 0 } }, drift: 3 } },
+    ],
+  };
+  assert.deepEqual(validateMap(map), [
+    'obstacles[1].motion.orbit.period must not be 0',
+    'obstacles[2].name "a" is already used by obstacles[0]',
+    'obstacles[2].motion.orbit.axis must not be zero',
+    'obstacles[2].motion.drift must be an object { x, y, z }',
+    'obstacles[0].motion.orbit.parent "b" orbits back to this obstacle',
+    'obstacles[1].motion.orbit.parent "a" orbits back to this obstacle',
+    'obstacles[2].motion.orbit.parent "nowhere" does not name an obstacle',
+  ]);
+});
+
+test('an idle hull sidesteps a body coming at it', () => {
+  const obstacles = new ObstacleManager();
+  const rock = obstacles.addSphere(v(-20, 0, 1), 4);
+  obstacles.setMotion(rock, { drift: v(8, 0, 0) });
+  obstacles.update(1 / 30);
+  const self = new Unit(v(0, 0, 0));
+  const force = avoidObstacles(self, [rock]);
+  assert.ok(force.z < 0, 'moves out of the way, to the side away from the body');
+  assert.equal(avoidObstacles(self, [obstacles.addSphere(v(-20, 0, 1), 4)]).lengthSq(), 0, 'a static one is ignored');
+});
+
+test('projected targets keep clear of where a moving body is heading', () => {
+  const obstacles = new ObstacleManager();
+  const rock = obstacles.addSphere(v(-10, 0, 0), 4);
+  obstacles.setMotion(rock, { drift: v(5, 0, 0) });
+  obstacles.update(1 / 30);
+  const target = v(0, 0, 1);
+  near(projectOutsideObstacles(target, 1, [rock]), target, 0, 'free right now');
+  const p = projectOutsideObstacles(target, 1, [rock], { horizon: 3 });
+  for (let t = 0; t <= 3; t += 0.25) {
+    const ahead = rock.position.clone().addScaledVector(rock.velocity, t);
+    assert.ok(signedDistance({ position: ahead, radius: 4 }, p) >= 1.2 - 1e-6, `collides ${t}s ahead`);
+  }
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ObstacleManager } from '../src/systems/obstacles.js';
+import { signedDistance, surfaceNormal, segmentHit, rayHit } from '../src/systems/obstacle_shapes.js';
+import { projectOutsideObstacles } from '../src/units/unit_manager.js';
+import { Unit, avoidObstacles, resolveObstaclePenetration } from '../src/units/unit.js';
+import { near } from './helpers.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+test('box distance follows the faces and edges of the rotated box', () => {
+  const obstacles = new ObstacleManager();
+  const box = obstacles.addBox(v(0, 0, 0), v(10, 2, 4), { rotation: { x: 0, y: 90, z: 0 } });
+  // Rotated 90 degrees about Y: the long side now runs along Z
+  assert.ok(Math.abs(signedDistance(box, v(0, 0, 12)) - 2) < 1e-9);
+  assert.ok(Math.abs(signedDistance(box, v(6, 0, 0)) - 2) < 1e-9);
+  assert.ok(Math.abs(signedDistance(box, v(0, 0, 0)) + 2) < 1e-9, 'inside is negative');
+  assert.ok(Math.abs(signedDistance(box, v(7, 5, 0)) - Math.hypot(3, 3)) < 1e-9);
+  near(surfaceNormal(box, v(0, 5, 3)), { x: 0, y: 1, z: 0 }, 1e-6);
+});
+
+test('capsule and torus distances', () => {
+  const obstacles = new ObstacleManager();
+  const capsule = obstacles.addCapsule(v(0, 0, 0), 20, 3);
+  assert.ok(Math.abs(signedDistance(capsule, v(5, 0, 8)) - 2) < 1e-9, 'beside the shaft');
+  assert.ok(Math.abs(signedDistance(capsule, v(0, 0, 15)) - 2) < 1e-9, 'past the cap');
+  const ring = obstacles.addTorus(v(0, 0, 0), 30, 4);
+  assert.ok(Math.abs(signedDistance(ring, v(0, 0, 0)) - 26) < 1e-9, 'the hole is free space');
+  assert.ok(Math.abs(signedDistance(ring, v(30, 6, 0)) - 2) < 1e-9);
+  near(surfaceNormal(ring, v(0, 0, 31)), { x: 0, y: 0, z: 1 }, 1e-6);
+});
+
+test('segments and rays hit the actual shape, not its bounding sphere', () => {
+  const obstacles = new ObstacleManager();
+  const ring = obstacles.addTorus(v(0, 0, 0), 30, 4);
+  assert.equal(segmentHit(ring, v(0, 20, 0), v(0, -20, 0)), null, 'straight through the hole');
+  const t = segmentHit(ring, v(30, 20, 0), v(30, -20, 0));
+  assert.ok(Math.abs(t - 16 / 40) < 1e-3);
+  const d = rayHit(ring, v(-100, 0, 0), v(1, 0, 0));
+  assert.ok(Math.abs(d - 66) < 1e-3);
+  const box = obstacles.addBox(v(0, 0, 0), v(5, 5, 5), { rotation: { x: 0, y: 45, z: 0 } });
+  assert.ok(Math.abs(rayHit(box, v(-20, 0, 0), v(1, 0, 0)) - (20 - 5 * Math.SQRT2)) < 1e-3, 'hits the corner');
+});
+
+test('projectOutsideObstacles clears box faces along their normal', () => {
+  const obstacles = new ObstacleManager();
+  const box = obstacles.addBox(v(0, 0, 0), v(10, 2, 10));
+  near(projectOutsideObstacles(v(3, 1, -4), 1, [box]), { x: 3, y: 3.2, z: -4 });
+});
+
+test('avoidance steers off a wall ahead and penetration resolves out of a capsule', () => {
+  const obstacles = new ObstacleManager();
+  const wall = obstacles.addBox(v(12, 0, 0), v(1, 20, 20));
+  const self = new Unit(v(0, 0, 3));
+  self.velocity.set(8, 0, 0);
+  const force = avoidObstacles(self, [wall]);
+  assert.ok(force.lengthSq() > 0);
+  assert.ok(Math.abs(force.x) < 1e-6, 'deflects sideways rather than braking');
+
+  const capsule = obstacles.addCapsule(v(0, 0, 0), 20, 3);
+  const inside = new Unit(v(1, 0, 5));
+  inside.velocity.set(-4, 0, 0);
+  resolveObstaclePenetration(inside, [capsule]);
+  assert.ok(signedDistance(capsule, inside.position) >= inside.radius - 1e-6);
+  assert.ok(inside.velocity.x >= 0, 'inward velocity removed');
+});
+
+test('asteroid fields are seeded, non-overlapping and queried rock by rock', () => {
+  const a = new ObstacleManager();
+  const b = new ObstacleManager();
+  const spec = { count: 80, minRadius: 1, maxRadius: 4, seed: 42 };
+  const field = a.addAsteroidField(v(100, 0, 0), v(80, 20, 60), spec);
+  b.addAsteroidField(v(100, 0, 0), v(80, 20, 60), spec);
+  assert.deepEqual(field.rocks.map(r => r.position.toArray()), b.getAll()[0].rocks.map(r => r.position.toArray()));
+  assert.ok(field.rocks.length > 40);
+  for (const [i, r] of field.rocks.entries()) {
+    assert.ok(Math.abs(r.position.x - 100) <= 40 && Math.abs(r.position.y) <= 10 && Math.abs(r.position.z) <= 30);
+    for (const s of field.rocks.slice(i + 1)) assert.ok(r.position.distanceTo(s.position) >= r.radius + s.radius);
+  }
+  const near = a.queryObstacles(field.rocks[0].position, 0.5);
+  assert.ok(near.includes(field.rocks[0]));
+  assert.ok(!near.includes(field), 'colliders are the rocks');
+});
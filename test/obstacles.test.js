@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { projectOutsideObstacles } from '../src/units/unit_manager.js';
+import { ObstacleManager } from '../src/systems/obstacles.js';
+import { near } from './helpers.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+test('projectOutsideObstacles leaves free points alone', () => {
+  const p = v(20, 0, 0);
+  const out = projectOutsideObstacles(p, 1, [{ position: v(0, 0, 0), radius: 5 }]);
+  near(out, p);
+  assert.notEqual(out, p, 'returns a copy');
+});
+
+test('projectOutsideObstacles pushes an inside point radially to surface + unit radius + margin', () => {
+  const out = projectOutsideObstacles(v(0, 2, 0), 1, [{ position: v(0, 0, 0), radius: 5 }]);
+  near(out, { x: 0, y: 6.2, z: 0 });
+});
+
+test('projectOutsideObstacles handles a point at the exact center', () => {
+  const out = projectOutsideObstacles(v(3, 3, 3), 1, [{ position: v(3, 3, 3), radius: 5 }]);
+  assert.ok(Math.abs(out.distanceTo(v(3, 3, 3)) - 6.2) < 1e-9);
+});
+
+test('ObstacleManager.queryObstacles finds spheres by their surface, not their center', () => {
+  const obstacles = new ObstacleManager();
+  const big = obstacles.addSphere(v(100, 0, 0), 60);
+  obstacles.addSphere(v(-100, 0, 0), 5);
+  assert.deepEqual(obstacles.queryObstacles(v(30, 0, 0), 15), [big]);
+  assert.equal(obstacles.queryObstacles(v(0, 0, 0), 10).length, 0);
+});
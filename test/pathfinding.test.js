@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ObstacleManager } from '../src/systems/obstacles.js';
+import { Pathfinder } from '../src/systems/pathfinding.js';
+import { FlowField } from '../src/systems/flow_field.js';
+import { signedDistance } from '../src/systems/obstacle_shapes.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+// Five overlapping spheres forming a cup that opens towards -X
+function cup(obstacles = new ObstacleManager()) {
+  obstacles.addSphere(v(0, 0, 0), 14);
+  for (const [y, z] of [[22, 0], [-22, 0], [0, 22], [0, -22]]) obstacles.addSphere(v(-10, y, z), 14);
+  return obstacles;
+}
+
+// Smallest clearance along the route, sampled every half unit
+function routeClearance(obstacles, from, points) {
+  let worst = Infinity;
+  let a = from;
+  for (const b of points) {
+    const len = a.distanceTo(b);
+    for (let t = 0; t <= len; t += 0.5) {
+      const p = a.clone().lerp(b, len ? t / len : 0);
+      for (const ob of obstacles.getAll()) worst = Math.min(worst, signedDistance(ob, p));
+    }
+    a = b;
+  }
+  return worst;
+}
+
+test('an unobstructed move is a single straight leg', () => {
+  const pf = new Pathfinder(cup());
+  const to = v(-90, 60, 0);
+  assert.deepEqual(pf.findPath(v(-90, -60, 0), to, 3), [to]);
+});
+
+test('a route around a concave cluster keeps its clearance and ends at the goal', () => {
+  const obstacles = cup();
+  const pf = new Pathfinder(obstacles);
+  const from = v(-80, 2, -3);
+  const to = v(80, 0, 5);
+  const route = pf.findPath(from, to, 3);
+  assert.ok(route.length >= 2 && route.length <= 4, `expected a few legs, got ${route.length}`);
+  assert.deepEqual(route.at(-1), to);
+  assert.ok(routeClearance(obstacles, from, route) >= 3 - 1e-6);
+  assert.deepEqual(pf.findPath(from, to, 3), route, 'same inputs, same route');
+});
+
+test('routes ignore moving obstacles and pick up newly added ones', () => {
+  const obstacles = new ObstacleManager();
+  const pf = new Pathfinder(obstacles);
+  const from = v(-60, 0, 0);
+  const to = v(60, 0, 0);
+  const moon = obstacles.addSphere(v(0, 0, 0), 10);
+  obstacles.setMotion(moon, { drift: v(0, 0, 1) });
+  assert.equal(pf.findPath(from, to, 2).length, 1);
+  obstacles.addSphere(v(0, 0, 0), 10);
+  const route = pf.findPath(from, to, 2);
+  assert.ok(route.length > 1);
+  assert.ok(route.slice(0, -1).every(p => p.distanceTo(v(0, 0, 0)) >= 12));
+});
+
+test('following a flow field leads round a concave cluster to the goal', () => {
+  const obstacles = cup();
+  const goal = v(80, 0, 5);
+  const field = new FlowField(new Pathfinder(obstacles), goal, v(-120, -60, -60), v(120, 60, 60), 3);
+  for (const start of [v(-80, 2, -3), v(-80, 30, 30), v(-45, 3, 8)]) {
+    const p = start.clone();
+    let worst = Infinity;
+    for (let i = 0; i < 400 && p.distanceTo(goal) > 10; i++) {
+      p.addScaledVector(field.sample(p), 1);
+      for (const ob of obstacles.getAll()) worst = Math.min(worst, signedDistance(ob, p));
+    }
+    assert.ok(p.distanceTo(goal) <= 10, `stuck at ${p.toArray()} from ${start.toArray()}`);
+    assert.ok(worst > 0, 'the flow ran into the cluster');
+  }
+  assert.equal(field.sample(v(500, 0, 0)), null, 'no heading outside the field');
+});
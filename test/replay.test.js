@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation } from '../src/simulation.js';
+import { CMD } from '../src/systems/command_bus.js';
+import { ReplayRecorder, ReplayPlayer, fetchReplay } from '../src/systems/replay.js';
+
+const MAP = {
+  name: 'replay test',
+  spawns: [{ x: -60, y: 0, z: 0, faction: 0 }, { x: 60, y: 0, z: 0, faction: 1 }],
+  obstacles: [{ type: 'sphere', position: { x: 0, y: 0, z: 0 }, radius: 10 }],
+};
+
+function select(sim, pred) {
+  for (const u of sim.unitManager.units) u.setSelected(pred(u));
+}
+
+// Everything that should come out identical when the same commands hit the same world
+function fingerprint(sim) {
+  return sim.unitManager.units.map(u => [u.id, u.hp, ...u.position.toArray(), ...u.velocity.toArray()]);
+}
+
+// A short match: player 0 attack-moves, regroups mid-fight and orbits the rock; player 1 guards
+function recordMatch() {
+  const sim = createSimulation();
+  sim.loadMap(MAP);
+  const recorder = new ReplayRecorder(sim, MAP);
+  const script = {
+    0: () => {
+      select(sim, u => u.faction === 0);
+      sim.commandBus.emit(CMD.ATTACK_MOVE_SELECTED_TO, { target: new THREE.Vector3(40, 0, 0) });
+      select(sim, u => u.faction === 1 && u.role !== 'capital');
+      const capital = sim.unitManager.units.find(u => u.faction === 1 && u.role === 'capital');
+      sim.commandBus.emit(CMD.GUARD_UNIT_SELECTED, { unit: capital });
+    },
+    150: () => {
+      select(sim, u => u.faction === 0 && u.role === 'fighter');
+      sim.commandBus.emit(CMD.SET_FORMATION, { formation: 'wedge' });
+      sim.commandBus.emit(CMD.ORBIT_SELECTED, { center: sim.obstacles.getAll()[0].position, obstacle: sim.obstacles.getAll()[0], radius: 20, height: 5 });
+      sim.commandBus.emit(CMD.TOGGLE_PAUSE); // local only, must not be recorded
+    },
+    400: () => {
+      select(sim, u => u.faction === 0);
+      sim.commandBus.emit(CMD.MOVE_SELECTED_TO, { target: new THREE.Vector3(-30, 10, 30), queue: true });
+      select(sim, () => false);
+    },
+  };
+  for (let t = 0; t < 900; t++) {
+    script[t]?.();
+    sim.step();
+  }
+  recorder.stop();
+  return { sim, replay: JSON.parse(JSON.stringify(recorder)) };
+}
+
+test('a recorded match replays to the identical state', () => {
+  const { sim, replay } = recordMatch();
+  assert.equal(replay.endTick, 900);
+  assert.equal(replay.commands.length, 5);
+  assert.ok(replay.commands.every(c => c.type !== CMD.TOGGLE_PAUSE));
+
+  const played = createSimulation();
+  const player = new ReplayPlayer(played, replay);
+  played.step(player.endTick);
+  assert.ok(player.finished);
+  assert.ok(sim.unitManager.units.length < replay.snapshot.units.length, 'the match should have casualties');
+  assert.deepEqual(fingerprint(played), fingerprint(sim));
+  assert.equal(played.unitManager.formation, 'wedge');
+});
+
+test('a replay file fetched like ?replay=<url> loads and plays back', async () => {
+  const { sim, replay } = recordMatch();
+  const loaded = await fetchReplay(`data:application/json,${encodeURIComponent(JSON.stringify(replay))}`);
+  const played = createSimulation();
+  const player = new ReplayPlayer(played, loaded);
+  played.step(player.endTick);
+  assert.deepEqual(fingerprint(played), fingerprint(sim));
+  await assert.rejects(fetchReplay('data:application/json,{'), /not valid JSON/);
+});
+
+test('seeking backwards and forwards lands on the same state as playing straight through', () => {
+  const { replay } = recordMatch();
+  const straight = createSimulation();
+  new ReplayPlayer(straight, replay).seek(500);
+
+  const sim = createSimulation();
+  const player = new ReplayPlayer(sim, replay);
+  player.seek(800);
+  player.seek(120);
+  player.seek(500);
+  assert.equal(sim.tick, 500);
+  assert.deepEqual(fingerprint(sim), fingerprint(straight));
+  player.seek(1e9);
+  assert.equal(sim.tick, replay.endTick);
+});
+
+test('the viewer selection survives commands being replayed', () => {
+  const { replay } = recordMatch();
+  const sim = createSimulation();
+  const player = new ReplayPlayer(sim, replay);
+  const watched = sim.unitManager.units[3];
+  watched.setSelected(true);
+  player.seek(200);
+  assert.deepEqual(sim.unitManager.getSelected(), [watched]);
+});
+
+test('ReplayPlayer rejects foreign files and mismatched tick rates', () => {
+  const { replay } = recordMatch();
+  assert.throws(() => new ReplayPlayer(createSimulation(), { format: 'other' }), /Not a replay/);
+  assert.throws(() => new ReplayPlayer(createSimulation(), { ...replay, version: 99 }), /version 99/);
+  assert.throws(() => new ReplayPlayer(createSimulation({ tickRate: 60 }), replay), /ticks\/s/);
+});
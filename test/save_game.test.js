@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation } from '../src/simulation.js';
+import { NAV, ORDER } from '../src/units/unit.js';
+import { CMD } from '../src/systems/command_bus.js';
+import { serializeWorld, restoreWorld } from '../src/systems/save_game.js';
+import { obstacleToMap } from '../src/systems/map_loader.js';
+import { SHIP_DEFS } from '../src/ships/ship_defs.js';
+
+const MAP = {
+  spawns: [{ x: -50, y: 0, z: 0, faction: 0 }, { x: 50, y: 0, z: 0, faction: 1 }],
+  obstacles: [{ type: 'sphere', position: { x: 0, y: 5, z: 0 }, radius: 8, color: 0x336699, opacity: 0.5 }],
+};
+
+function fingerprint(sim) {
+  return sim.unitManager.units.map(u => [u.id, u.hp, ...u.position.toArray(), ...u.velocity.toArray(), ...u.quaternion.toArray()]);
+}
+
+// Mid-battle world with every kind of order reference in play
+function battle() {
+  const sim = createSimulation();
+  sim.loadMap(MAP);
+  const units = sim.unitManager.units;
+  const rock = sim.obstacles.getAll()[0];
+  const capital = units.find(u => u.faction === 1 && u.role === 'capital');
+  for (const u of units) {
+    if (u.faction === 0) u.attackMove(new THREE.Vector3(50, 0, 0));
+    else if (u !== capital) u.guard(capital);
+  }
+  // Big hulls, so they are still alive when the snapshot is taken
+  const orbiter = units.find(u => u.faction === 0 && u.role === 'capital');
+  const patroller = units.find(u => u.faction === 0 && u.role === 'cruiser');
+  orbiter.orbit({ center: rock.position, obstacle: rock, radius: 12, height: 3 });
+  patroller.patrol(new THREE.Vector3(0, 0, 40));
+  patroller.patrol(new THREE.Vector3(20, 0, 40), { queue: true });
+  patroller.moveTo(new THREE.Vector3(-10, 0, -10), { queue: true });
+  units[0].setSelected(true);
+  sim.step(240);
+  assert.ok(!orbiter.dead && !patroller.dead);
+  assert.ok(sim.combat.projectiles.length > 0 || units.length < 66, 'fight should be under way');
+  return { sim, orbiter, patroller };
+}
+
+test('a restored snapshot continues exactly like the original world', () => {
+  const { sim } = battle();
+  const snap = JSON.parse(JSON.stringify(serializeWorld(sim)));
+  const copy = createSimulation();
+  restoreWorld(copy, snap);
+  assert.equal(copy.tick, sim.tick);
+  assert.deepEqual(fingerprint(copy), fingerprint(sim));
+  sim.step(300);
+  copy.step(300);
+  assert.deepEqual(fingerprint(copy), fingerprint(sim));
+  assert.equal(copy.combat.projectiles.length, sim.combat.projectiles.length);
+});
+
+test('orders, references, selection and obstacles survive a round trip', () => {
+  const { sim, orbiter, patroller } = battle();
+  const copy = createSimulation();
+  const view = restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim, { view: { cursor: { x: 1, z: 2, height: 3 } } }))));
+  assert.deepEqual(view, { cursor: { x: 1, z: 2, height: 3 } });
+
+  const rock = copy.obstacles.getAll()[0];
+  assert.deepEqual({ id: rock.id, ...obstacleToMap(rock) }, { id: 1, type: 'sphere', position: { x: 0, y: 5, z: 0 }, radius: 8, color: 0x336699, opacity: 0.5 });
+  const o = copy.unitManager.getUnitById(orbiter.id);
+  assert.equal(o.order.type, ORDER.ORBIT);
+  assert.equal(o.order.obstacle, rock);
+  const p = copy.unitManager.getUnitById(patroller.id);
+  assert.equal(p.order.points.length, 3);
+  assert.ok(p.order.points.every(v => v instanceof THREE.Vector3));
+  assert.deepEqual(p.orderQueue.map(q => q.type), [ORDER.MOVE]);
+  const guard = copy.unitManager.units.find(u => u.order?.type === ORDER.GUARD);
+  assert.equal(guard.order.unit, copy.unitManager.getUnitById(guard.order.unit.id));
+  assert.deepEqual(copy.unitManager.getSelected().map(u => u.id), sim.unitManager.getSelected().map(u => u.id));
+  // New units continue the id sequence instead of reusing ids
+  assert.equal(copy.unitManager.spawnUnit(new THREE.Vector3()).id, sim.unitManager.nextUnitId);
+});
+
+test('a ship part way along a planned route keeps following it after a round trip', () => {
+  const sim = createSimulation();
+  sim.loadMap({ ...MAP, spawns: [] }, { fleets: false });
+  const ship = sim.unitManager.spawnUnitOfType('Spitfire', new THREE.Vector3(-40, 5, 1));
+  ship.moveTo(new THREE.Vector3(40, 5, 0));
+  sim.step(30);
+  assert.ok(ship.route.points.length > 1, 'the rock should force a detour');
+  const copy = createSimulation();
+  restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim))));
+  assert.deepEqual(copy.unitManager.units[0].route, ship.route);
+  sim.step(120);
+  copy.step(120);
+  assert.deepEqual(fingerprint(copy), fingerprint(sim));
+});
+
+test('flow-field moves round-trip and rebuild the same field', () => {
+  const sim = createSimulation();
+  sim.loadMap({ ...MAP, spawns: [] }, { fleets: false });
+  for (const z of [0, 6]) sim.unitManager.spawnUnitOfType('Striker', new THREE.Vector3(-40, 5, z)).setSelected(true);
+  sim.commandBus.emit(CMD.MOVE_SELECTED_TO, { target: new THREE.Vector3(60, 5, 0), nav: NAV.FLOW });
+  sim.step(30);
+  const copy = createSimulation();
+  restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim))));
+  const [a, b] = [sim, copy].map(w => w.unitManager.units[0].order);
+  assert.equal(b.nav, NAV.FLOW);
+  assert.deepEqual(b.flow, a.flow);
+  sim.step(150);
+  copy.step(150);
+  assert.deepEqual(fingerprint(copy), fingerprint(sim));
+});
+
+test('hulls measured from the models size new units, and saves keep them where nothing was measured', () => {
+  const sim = createSimulation();
+  sim.unitManager.setHullRadius('Bob', 3.1);
+  const bob = sim.unitManager.spawnUnitOfType('Bob', new THREE.Vector3(0, 0, 0));
+  const spitfire = sim.unitManager.spawnUnitOfType('Spitfire', new THREE.Vector3(10, 0, 0));
+  assert.equal(bob.radius, 3.1);
+  assert.equal(spitfire.radius, SHIP_DEFS.Spitfire.radius, 'unmeasured types keep the SHIP_DEFS radius');
+  const copy = createSimulation();
+  restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim))));
+  assert.deepEqual(copy.unitManager.units.map(u => u.radius), [3.1, SHIP_DEFS.Spitfire.radius]);
+});
+
+test('orders on units that already died restore as dead references and are dropped', () => {
+  const sim = createSimulation();
+  const a = sim.unitManager.spawnUnitOfType('Imperial', new THREE.Vector3(0, 0, 0), { faction: 0 });
+  const b = sim.unitManager.spawnUnitOfType('Spitfire', new THREE.Vector3(10, 0, 0), { faction: 1 });
+  a.moveTo(new THREE.Vector3(0, 0, 50));
+  a.attack(b, { queue: true });
+  b.takeDamage(1e9);
+  sim.unitManager.removeDead();
+  const copy = createSimulation();
+  restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim))));
+  const restored = copy.unitManager.getUnitById(a.id);
+  assert.equal(restored.orderQueue[0].unit.dead, true);
+  copy.step(400);
+  assert.equal(restored.order, null);
+});
+
+test('every obstacle shape round-trips, and version 1 sphere saves still load', () => {
+  const sim = createSimulation();
+  sim.loadMap({
+    version: 1,
+    spawns: [],
+    obstacles: [
+      { type: 'box', position: { x: 1, y: 2, z: 3 }, size: { x: 10, y: 4, z: 6 }, rotation: { x: 0, y: 33, z: 10 } },
+      { type: 'capsule', position: { x: 0, y: 0, z: 40 }, length: 30, radius: 3, rotation: { x: 90, y: 0, z: 0 } },
+      { type: 'torus', position: { x: 0, y: 0, z: -60 }, radius: 40, tube: 4 },
+      { type: 'asteroidField', position: { x: 80, y: 0, z: 0 }, size: { x: 60, y: 10, z: 40 }, count: 40, minRadius: 1, maxRadius: 3, seed: 9 },
+    ],
+  });
+  const copy = createSimulation();
+  restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim))));
+  assert.deepEqual(copy.obstacles.getAll().map(obstacleToMap), sim.obstacles.getAll().map(obstacleToMap));
+  assert.deepEqual(copy.obstacles.getAll()[3].rocks.map(r => r.position.toArray()), sim.obstacles.getAll()[3].rocks.map(r => r.position.toArray()));
+  assert.ok(copy.obstacles.getAll()[0].quaternion.equals(sim.obstacles.getAll()[0].quaternion));
+
+  const legacy = { ...serializeWorld(createSimulation()), version: 1, obstacles: [{ id: 4, position: [1, 2, 3], radius: 5, color: 0x123456, opacity: 0.5 }] };
+  restoreWorld(copy, legacy);
+  assert.deepEqual(copy.obstacles.getAll().map(ob => ({ id: ob.id, ...obstacleToMap(ob) })), [
+    { id: 4, type: 'sphere', position: { x: 1, y: 2, z: 3 }, radius: 5, color: 0x123456, opacity: 0.5 },
+  ]);
+});
+
+test('restoreWorld rejects other files', () => {
+  assert.throws(() => restoreWorld(createSimulation(), { format: 'x' }), /Not a save file/);
+  assert.throws(() => restoreWorld(createSimulation(), { format: 'conquertheuniverse-save', version: 7 }), /version 7/);
+});
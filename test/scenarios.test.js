@@ -0,0 +1,166 @@
+// Whole-simulation runs through createSimulation(), the same entry point the game and the
+// headless CLI use. Orders go through the command bus like the UI sends them.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation } from '../src/simulation.js';
+import { CMD } from '../src/systems/command_bus.js';
+import { NAV, Unit } from '../src/units/unit.js';
+
+const MAX_SECONDS = 60;
+
+const origin = new THREE.Vector3(0, 0, 0);
+
+// 20 ships in a 5x4 block at x=-70, each ordered to the mirrored point at x=+70
+function crossingScenario(shipTypes, addObstacle = obstacles => obstacles.addSphere(origin, 18)) {
+  const sim = createSimulation();
+  const rock = addObstacle(sim.obstacles);
+  const units = [];
+  for (let i = 0; i < 20; i++) {
+    const y = (Math.floor(i / 5) - 1.5) * 5;
+    const z = ((i % 5) - 2) * 5;
+    units.push(sim.unitManager.spawnUnitOfType(shipTypes[i % shipTypes.length], new THREE.Vector3(-70, y, z)));
+  }
+  const goals = units.map(u => new THREE.Vector3(70, u.position.y, u.position.z));
+  return { sim, rock, units, goals };
+}
+
+// Step until every unit has finished its orders (or time runs out), calling onStep after each tick;
+// returns the smallest gap any hull kept to an obstacle, as steering left it before the hard surface
+// constraint could push it out (read by wrapping the constraint for the duration of the run)
+function runUntilArrived(sim, units, onStep = () => {}) {
+  let worstClearance = Infinity;
+  const constrain = Unit.prototype._stayOutOfObstacles;
+  Unit.prototype._stayOutOfObstacles = function (obstacles) {
+    const clearance = constrain.call(this, obstacles);
+    if (units.includes(this)) worstClearance = Math.min(worstClearance, clearance);
+    return clearance;
+  };
+  try {
+    while (sim.time < MAX_SECONDS && units.some(u => u.order)) {
+      sim.step();
+      onStep();
+    }
+  } finally {
+    Unit.prototype._stayOutOfObstacles = constrain;
+  }
+  return worstClearance;
+}
+
+function runCrossing(shipTypes, addObstacle) {
+  const { sim, units, goals } = crossingScenario(shipTypes, addObstacle);
+  units.forEach((u, i) => u.moveTo(goals[i]));
+  const worstClearance = runUntilArrived(sim, units);
+  return { units, goals, worstClearance, seconds: sim.time };
+}
+
+for (const [label, types] of [['fighters', ['Spitfire']], ['mixed hulls', ['Spitfire', 'Striker', 'Insurgent', 'Bob', 'Omen']]]) {
+  test(`20 ${label} crossing the obstacle at the origin all arrive without penetrating it`, () => {
+    const { units, goals, worstClearance, seconds } = runCrossing(types);
+    assert.ok(worstClearance > 0, `steering let a hull ${(-worstClearance).toFixed(2)} into the obstacle`);
+    assert.ok(seconds < MAX_SECONDS, 'not everyone arrived in time');
+    units.forEach((u, i) => assert.ok(u.position.distanceTo(goals[i]) < 2, `unit ${u.id} stopped short`));
+  });
+}
+
+// Every other obstacle shape in the fleet's path; the ring stands upright with a hole a little narrower
+// than the block, so the outer ships have to close up or go around
+const SHAPES = {
+  'a rotated station box': obstacles => obstacles.addBox(origin, new THREE.Vector3(6, 14, 16), { rotation: { x: 0, y: 30, z: 0 } }),
+  'a capsule hull across the path': obstacles => obstacles.addCapsule(origin, 40, 6),
+  'an upright ring': obstacles => obstacles.addTorus(origin, 16, 3, { rotation: { x: 0, y: 0, z: 90 } }),
+  'an asteroid field': obstacles => obstacles.addAsteroidField(origin, new THREE.Vector3(30, 20, 30), { count: 25, minRadius: 1, maxRadius: 3, seed: 3 }),
+  // Starts on the fleet's line and sweeps across it as the ships arrive; unless avoidance probes along
+  // the velocity relative to the moon, hulls end up in it
+  'a moon orbiting across the path': (obstacles) => {
+    const planet = obstacles.addSphere(origin, 4);
+    return obstacles.setMotion(obstacles.addSphere(new THREE.Vector3(-30, 0, 0), 8), { orbit: { parent: planet, period: 20 } });
+  },
+};
+for (const [label, addObstacle] of Object.entries(SHAPES)) {
+  test(`20 mixed hulls crossing ${label} all arrive without penetrating it`, () => {
+    const { units, goals, worstClearance, seconds } = runCrossing(['Spitfire', 'Striker', 'Insurgent', 'Bob', 'Omen'], addObstacle);
+    assert.ok(worstClearance > 0, `steering let a hull ${(-worstClearance).toFixed(2)} into the obstacle`);
+    assert.ok(seconds < MAX_SECONDS, 'not everyone arrived in time');
+    units.forEach((u, i) => assert.ok(u.position.distanceTo(goals[i]) < 2, `unit ${u.id} stopped short`));
+  });
+}
+
+test('20 mixed hulls route around a concave five-sphere cluster instead of stalling in it', () => {
+  const { units, goals, worstClearance, seconds } = runCrossing(['Spitfire', 'Striker', 'Bob', 'Omen'], (obstacles) => {
+    const core = obstacles.addSphere(origin, 14);
+    for (const [y, z] of [[22, 0], [-22, 0], [0, 22], [0, -22]]) obstacles.addSphere(new THREE.Vector3(-10, y, z), 14);
+    return core;
+  });
+  assert.ok(worstClearance > 0, `steering let a hull ${(-worstClearance).toFixed(2)} into the cluster`);
+  assert.ok(seconds < MAX_SECONDS, 'ships stalled in the cluster');
+  units.forEach((u, i) => assert.ok(u.position.distanceTo(goals[i]) < 2, `unit ${u.id} stopped short`));
+});
+
+// 30 mixed hulls ordered as one group through the five-sphere cluster to x=+80 (nav: undefined leaves
+// the choice to the unit manager). Also records when the last ship cleared the cluster and the closest
+// any two hulls came while inside it.
+function clusterFlight(nav) {
+  const sim = createSimulation();
+  sim.obstacles.addSphere(origin, 14);
+  for (const [y, z] of [[22, 0], [-22, 0], [0, 22], [0, -22]]) sim.obstacles.addSphere(new THREE.Vector3(-10, y, z), 14);
+  const units = [];
+  for (let i = 0; i < 30; i++) {
+    const u = sim.unitManager.spawnUnitOfType(['Spitfire', 'Striker', 'Bob'][i % 3], new THREE.Vector3(-90 - (i % 6) * 5, (Math.floor(i / 6) - 2) * 5, (i % 3) * 5));
+    u.setSelected(true);
+    units.push(u);
+  }
+  sim.commandBus.emit(CMD.MOVE_SELECTED_TO, { target: new THREE.Vector3(80, 0, 0), nav });
+  const slots = units.map(u => u.order.point);
+  const navs = units.map(u => u.order.nav);
+  let lastThrough = 0;
+  let closestPair = Infinity;
+  const worstClearance = runUntilArrived(sim, units, () => {
+    const inside = units.filter(u => u.position.x > -30 && u.position.x < 14);
+    if (units.some(u => u.position.x < 14)) lastThrough = sim.time;
+    for (const [i, a] of inside.entries()) {
+      for (const b of inside.slice(i + 1)) closestPair = Math.min(closestPair, a.position.distanceTo(b.position) - a.radius - b.radius);
+    }
+  });
+  return { sim, units, slots, navs, worstClearance, lastThrough, closestPair };
+}
+
+test('a big group shares one flow field through the cluster and still ends on its own slots', () => {
+  const { sim, units, slots, navs, worstClearance } = clusterFlight();
+  assert.ok(navs.every(nav => nav === NAV.FLOW));
+  assert.equal(sim.unitManager.flowFields.size, 1, 'one field for the whole group');
+  assert.ok(worstClearance > 0, `steering let a hull ${(-worstClearance).toFixed(2)} into the cluster`);
+  assert.ok(sim.time < MAX_SECONDS, 'not everyone arrived in time');
+  units.forEach((u, i) => assert.ok(u.position.distanceTo(slots[i]) < 2, `unit ${u.id} stopped short`));
+});
+
+test('through the cluster the flow field keeps the group further apart than per-ship routes, and is as quick', () => {
+  const flow = clusterFlight(NAV.FLOW);
+  const routes = clusterFlight(NAV.ROUTE);
+  assert.equal(routes.sim.unitManager.flowFields.size, 0, 'routes were planned per ship');
+  assert.ok(flow.closestPair > routes.closestPair,
+    `closest hulls in the cluster: ${flow.closestPair.toFixed(2)} with the field, ${routes.closestPair.toFixed(2)} with routes`);
+  assert.ok(flow.lastThrough <= routes.lastThrough + 0.25,
+    `last ship through after ${flow.lastThrough.toFixed(2)}s with the field, ${routes.lastThrough.toFixed(2)}s with routes`);
+});
+
+test('a group move keeps distinct slots outside the obstacle even when ordered onto it', () => {
+  const { sim, rock, units } = crossingScenario(['Spitfire']);
+  units.forEach(u => u.setSelected(true));
+  sim.commandBus.emit(CMD.MOVE_SELECTED_TO, { target: rock.position.clone() });
+  const targets = units.map(u => u.target);
+  for (const [i, t] of targets.entries()) {
+    assert.ok(t.distanceTo(rock.position) >= rock.radius + units[i].radius, 'slot inside the obstacle');
+  }
+  assert.equal(new Set(targets.map(t => t.toArray().map(c => c.toFixed(2)).join())).size, targets.length);
+});
+
+test('opposing fleets fight it out to a single survivor faction', () => {
+  const sim = createSimulation();
+  sim.unitManager.spawnFleetAllShips(new THREE.Vector3(-40, 0, 0), { faction: 0 });
+  sim.unitManager.spawnFleetAllShips(new THREE.Vector3(40, 0, 0), { faction: 1 });
+  for (const u of sim.unitManager.units) u.attackMove(new THREE.Vector3(u.faction === 0 ? 40 : -40, 0, 0));
+  while (sim.time < 300 && new Set(sim.unitManager.units.map(u => u.faction)).size > 1) sim.step();
+  assert.equal(new Set(sim.unitManager.units.map(u => u.faction)).size, 1);
+  assert.ok(sim.unitManager.units.every(u => !u.dead && u.hp > 0));
+});
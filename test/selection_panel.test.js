@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation } from '../src/simulation.js';
+import { SHIP_DEFS } from '../src/ships/ship_defs.js';
+import { ROLE_ICONS, groupSelection, hpFraction, narrowSelection } from '../src/ui/selection_panel.js';
+
+function fleet() {
+  const sim = createSimulation();
+  const um = sim.unitManager;
+  const at = (x) => new THREE.Vector3(x, 0, 0);
+  const units = [
+    um.spawnUnitOfType('Imperial', at(0)),
+    um.spawnUnitOfType('Spitfire', at(10)),
+    um.spawnUnit(at(20)),
+    um.spawnUnitOfType('Spitfire', at(30)),
+    um.spawnUnitOfType('Bob', at(40)),
+  ];
+  for (const u of units) u.setSelected(true);
+  return { um, units };
+}
+
+test('every ship role has an icon', () => {
+  for (const def of Object.values(SHIP_DEFS)) assert.ok(ROLE_ICONS[def.role], def.role);
+});
+
+test('the selection is grouped by ship type in ship library order, untyped units last', () => {
+  const { um, units } = fleet();
+  const groups = groupSelection(um.getSelected());
+  assert.deepEqual(groups.map(g => [g.type, g.role, g.units.length]), [
+    ['Bob', 'frigate', 1], ['Spitfire', 'fighter', 2], ['Imperial', 'capital', 1], [null, null, 1],
+  ]);
+  assert.deepEqual(groups[1].units, [units[1], units[3]]);
+});
+
+test('narrowing keeps or drops a group or a unit', () => {
+  const { um, units } = fleet();
+  const [bob, spitfires] = groupSelection(um.getSelected());
+  narrowSelection(um.getSelected(), spitfires.units, 'remove');
+  assert.deepEqual(um.getSelected(), [units[0], units[2], units[4]]);
+  narrowSelection(um.getSelected(), bob.units);
+  assert.deepEqual(um.getSelected(), [units[4]]);
+  assert.ok(!units[1].selected && !units[0].selected);
+});
+
+test('hp bars show the remaining fraction of max hp', () => {
+  const { units } = fleet();
+  const imperial = units[0];
+  assert.equal(hpFraction(imperial), 1);
+  imperial.takeDamage(imperial.maxHp / 4);
+  assert.equal(hpFraction(imperial), 0.75);
+  imperial.takeDamage(imperial.maxHp);
+  assert.equal(hpFraction(imperial), 0);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Unit, separation, avoidObstacles, resolveObstaclePenetration } from '../src/units/unit.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+test('separation pushes away from overlapping neighbors and ignores distant ones', () => {
+  const self = new Unit(v(0, 0, 0), { radius: 1 });
+  const close = new Unit(v(1, 0, 0), { radius: 1 });
+  const far = new Unit(v(0, 0, 10), { radius: 1 });
+  const force = separation(self, [self, close, far], 100);
+  assert.ok(force.x < 0);
+  assert.equal(force.y, 0);
+  assert.equal(force.z, 0);
+  assert.equal(separation(self, [self, far], 100).lengthSq(), 0);
+});
+
+test('separation is clamped to maxAccel', () => {
+  const self = new Unit(v(0, 0, 0), { radius: 1 });
+  const touching = new Unit(v(0.01, 0, 0), { radius: 1 });
+  assert.ok(Math.abs(separation(self, [touching], 5).length() - 5) < 1e-9);
+});
+
+test('avoidObstacles steers sideways around an obstacle ahead', () => {
+  const self = new Unit(v(0, 0, 0));
+  self.velocity.set(10, 0, 0);
+  const force = avoidObstacles(self, [{ position: v(12, 0, 2), radius: 4 }]);
+  assert.ok(force.z < 0, 'deflects away from the side the obstacle sits on');
+  assert.ok(Math.abs(force.x) < 1e-9, 'no braking component along travel');
+});
+
+test('avoidObstacles picks a side when heading straight at the center', () => {
+  const self = new Unit(v(0, 0, 0));
+  self.velocity.set(10, 0, 0);
+  const force = avoidObstacles(self, [{ position: v(12, 0, 0), radius: 4 }]);
+  assert.ok(force.length() > 0);
+  assert.ok(Math.abs(force.x) < 1e-9);
+});
+
+test('avoidObstacles ignores obstacles behind or beside the path', () => {
+  const self = new Unit(v(0, 0, 0));
+  self.velocity.set(10, 0, 0);
+  assert.equal(avoidObstacles(self, [{ position: v(-20, 0, 0), radius: 4 }]).lengthSq(), 0);
+  assert.equal(avoidObstacles(self, [{ position: v(10, 0, 20), radius: 4 }]).lengthSq(), 0);
+});
+
+test('resolveObstaclePenetration moves a hull to the surface and drops inward velocity', () => {
+  const self = new Unit(v(3, 0, 0), { radius: 1 });
+  self.velocity.set(-5, 2, 0);
+  assert.equal(resolveObstaclePenetration(self, [{ position: v(0, 0, 0), radius: 4 }]), -2, 'clearance before the push');
+  assert.ok(Math.abs(self.position.x - 5) < 1e-9);
+  assert.equal(self.velocity.x, 0);
+  assert.equal(self.velocity.y, 2);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createSimulation } from '../src/simulation.js';
+import { SHIP_DEFS } from '../src/ships/ship_defs.js';
+import { serializeWorld, restoreWorld } from '../src/systems/save_game.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+// An interceptor of faction 0 at the origin and a fighter of faction 1 out of weapon range
+function standoff(enemyAt = v(200, 0, 0)) {
+  const sim = createSimulation();
+  const scout = sim.unitManager.spawnUnitOfType('Insurgent', v(0, 0, 0), { faction: 0 });
+  const enemy = sim.unitManager.spawnUnitOfType('Spitfire', enemyAt, { faction: 1 });
+  return { sim, scout, enemy, vis: sim.visibility };
+}
+
+// Refresh interval of the visibility system, in ticks
+const REFRESH = 6;
+
+test('every ship type has a sensor radius and interceptors see furthest', () => {
+  const defs = Object.values(SHIP_DEFS);
+  assert.ok(defs.every(d => d.sensor > 0));
+  const best = Math.max(...defs.map(d => d.sensor));
+  assert.ok(defs.filter(d => d.sensor === best).every(d => d.role === 'interceptor'));
+  assert.equal(createSimulation().unitManager.spawnUnitOfType('Insurgent', v(0, 0, 0)).sensor, SHIP_DEFS.Insurgent.sensor);
+});
+
+test('ships see enemies within their own sensor range only', () => {
+  const { sim, scout, enemy, vis } = standoff();
+  sim.step(1);
+  assert.ok(vis.isVisible(0, enemy), 'the interceptor outranges the fighter');
+  assert.ok(!vis.isVisible(1, scout));
+  assert.ok(vis.isVisible(1, enemy), 'own units are always visible');
+  enemy.position.set(0, 300, 0); // above is as far as sideways
+  sim.step(REFRESH);
+  assert.ok(!vis.isVisible(0, enemy));
+});
+
+test('obstacles block line of sight', () => {
+  const { sim, enemy, vis } = standoff();
+  sim.obstacles.addSphere(v(100, 0, 0), 20);
+  sim.step(1);
+  assert.ok(!vis.isVisible(0, enemy));
+  assert.ok(!vis.hasLineOfSight(v(0, 0, 0), enemy.position));
+  assert.ok(vis.hasLineOfSight(v(0, 0, 0), v(100, 40, 0)));
+  enemy.position.set(200, 100, 0); // now seen past the rock's edge
+  sim.step(REFRESH);
+  assert.ok(vis.isVisible(0, enemy));
+});
+
+test('enemies that leave sight leave a ghost until they are seen again or found gone', () => {
+  const { sim, scout, enemy, vis } = standoff();
+  sim.step(1);
+  enemy.position.set(400, 0, 0);
+  sim.step(REFRESH);
+  const [ghost] = [...vis.ghostsOf(0)];
+  assert.equal(ghost.id, enemy.id);
+  assert.equal(ghost.type, 'Spitfire');
+  assert.equal(ghost.position.x, 400);
+
+  // Seen again: the ghost goes
+  scout.position.set(200, 0, 0);
+  sim.step(REFRESH);
+  assert.ok(vis.isVisible(0, enemy));
+  assert.equal([...vis.ghostsOf(0)].length, 0);
+
+  // Lost again, then the scout looks at the spot and finds it empty
+  scout.position.set(0, 0, 0);
+  sim.step(REFRESH);
+  assert.equal([...vis.ghostsOf(0)].length, 1);
+  enemy.position.set(0, 0, 2000);
+  scout.position.set(300, 0, 0);
+  sim.step(REFRESH);
+  assert.ok(!vis.isVisible(0, enemy));
+  assert.equal([...vis.ghostsOf(0)].length, 0);
+});
+
+test('an enemy destroyed in sight leaves no ghost', () => {
+  const { sim, enemy, vis } = standoff();
+  sim.step(1);
+  enemy.takeDamage(1e6);
+  sim.step(REFRESH);
+  assert.ok(!sim.unitManager.units.includes(enemy));
+  assert.equal([...vis.ghostsOf(0)].length, 0);
+});
+
+test('obstacles stay explored once a ship has had them in sensor range', () => {
+  const { sim, scout, vis } = standoff();
+  const near = sim.obstacles.addBox(v(250, 0, 0), v(10, 10, 10));
+  const far = sim.obstacles.addAsteroidField(v(-600, 0, 0), v(60, 20, 60), { count: 20, minRadius: 1, maxRadius: 3, seed: 4 });
+  sim.step(1);
+  assert.ok(vis.isExplored(0, near));
+  assert.ok(!vis.isExplored(0, far));
+  assert.ok(!vis.isExplored(1, far));
+  scout.position.set(-400, 0, 0);
+  sim.step(REFRESH);
+  assert.ok(vis.isExplored(0, near) && vis.isExplored(0, far));
+});
+
+test('saves keep explored obstacles and ghosts', () => {
+  const { sim, enemy, vis } = standoff();
+  const rock = sim.obstacles.addSphere(v(0, 0, 150), 10);
+  sim.step(1);
+  enemy.position.set(400, 0, 0);
+  sim.step(REFRESH);
+  const copy = createSimulation();
+  restoreWorld(copy, JSON.parse(JSON.stringify(serializeWorld(sim))));
+  assert.deepEqual(copy.visibility.toJSON(), vis.toJSON());
+  assert.ok(copy.visibility.isExplored(0, copy.obstacles.getAll().find(ob => ob.id === rock.id)));
+  assert.ok(!copy.visibility.isVisible(0, copy.unitManager.getUnitById(enemy.id)));
+  assert.equal([...copy.visibility.ghostsOf(0)][0].id, enemy.id);
+});
@@ -0,0 +1,36 @@
+// Generate a map file from a seed (see src/systems/map_generator.js for what the options do).
+// Usage: node tools/generate_map.js [--seed 7] [--players 3] [--systems 9] [--halfSize 900]
+//          [--planets 2] [--moons 1] [--asteroids 0.5] [--name "..."] [--out maps/generated.map.json]
+// Without --out the map is printed; play it with `node tools/headless_sim.js <file>`.
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { GENERATOR_DEFAULTS, generateMap } from '../src/systems/map_generator.js';
+
+const numeric = Object.keys(GENERATOR_DEFAULTS);
+const { values } = parseArgs({
+  options: {
+    ...Object.fromEntries(numeric.map(key => [key, { type: 'string' }])),
+    name: { type: 'string' },
+    out: { type: 'string' },
+  },
+});
+
+let map;
+try {
+  const opts = { name: values.name };
+  for (const key of numeric) {
+    if (values[key] !== undefined) opts[key] = Number(values[key]);
+  }
+  map = generateMap(opts);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const json = JSON.stringify(map, null, 2);
+if (values.out) {
+  await writeFile(values.out, `${json}\n`);
+  console.log(`${values.out}: ${map.name}, ${map.obstacles.length} obstacles, ${map.spawns.length} spawns`);
+} else {
+  console.log(json);
+}
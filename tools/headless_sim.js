@@ -0,0 +1,46 @@
+// Batch battle without a browser: loads a map, sends every fleet at the next spawn and prints
+// the survivors per faction.
+// Usage: node tools/headless_sim.js [map.json] [seconds]
+import { readFile } from 'node:fs/promises';
+import { createSimulation } from '../src/simulation.js';
+import { CMD } from '../src/systems/command_bus.js';
+import { FACTIONS } from '../src/units/factions.js';
+import { MapError, parseMap } from '../src/systems/map_schema.js';
+
+const [mapPath = 'maps/example_star_systems.map.json', secondsArg = '120'] = process.argv.slice(2);
+const seconds = Number(secondsArg);
+
+let map;
+try {
+  map = parseMap(JSON.parse(await readFile(mapPath, 'utf8')), mapPath);
+} catch (err) {
+  console.error(err instanceof MapError ? err.message : `${mapPath}: ${err.message}`);
+  process.exit(1);
+}
+const sim = createSimulation();
+const spawns = sim.loadMap(map);
+
+// Orders go through the command bus exactly as the UI issues them: select, then command
+spawns.forEach((spawn, i) => {
+  const enemy = spawns[(i + 1) % spawns.length];
+  for (const u of sim.unitManager.units) u.setSelected(u.faction === spawn.faction);
+  sim.commandBus.emit(CMD.ATTACK_MOVE_SELECTED_TO, { target: enemy.position });
+});
+for (const u of sim.unitManager.units) u.setSelected(false);
+
+function report() {
+  const counts = new Map();
+  for (const u of sim.unitManager.units) counts.set(u.faction, (counts.get(u.faction) ?? 0) + 1);
+  const parts = [...counts].sort((a, b) => a[0] - b[0]).map(([f, n]) => `${FACTIONS[f]?.name ?? f}: ${n}`);
+  console.log(`t=${sim.time.toFixed(0).padStart(4)}s  ${parts.join('  ') || 'no units left'}`);
+  return counts.size;
+}
+
+const started = performance.now();
+const ticksPerReport = Math.round(10 / sim.fixedDt);
+report();
+while (sim.time < seconds) {
+  sim.step(ticksPerReport);
+  if (report() <= 1) break;
+}
+console.log(`${sim.tick} ticks in ${((performance.now() - started) / 1000).toFixed(2)}s wall time`);